@@ -0,0 +1,206 @@
+/**
+ * Unicode Bidirectional Algorithm (UAX #9)
+ * Resolves the embedding level of every character of a paragraph and
+ * reorders the runs of a line for display. Explicit embeddings and isolates
+ * (LRE, RLI, PDF, ...) are ignored like boundary neutrals, and brackets are
+ * resolved as plain neutrals (no N0), which covers crawl text.
+ */
+
+const MIRRORED = new Map([
+  ['(', ')'], [')', '('], ['[', ']'], [']', '['], ['{', '}'], ['}', '{'],
+  ['<', '>'], ['>', '<'], ['«', '»'], ['»', '«'], ['‹', '›'], ['›', '‹']
+]);
+
+/**
+ * Bidi class of a single character (a subset of the UAX #9 classes)
+ */
+export function getBidiClass(char) {
+  switch (char) {
+    case '\u200E': return 'L';
+    case '\u200F': return 'R';
+    case '\u061C': return 'AL';
+    case '\n': case '\r': case '\u001C': case '\u001D': case '\u001E': case '\u0085': case '\u2029': return 'B';
+    case '\t': case '\u000B': case '\u001F': return 'S';
+    case '+': case '-': case '\u207A': case '\u207B': case '\u208A': case '\u208B': case '\u2212':
+    case '\uFB29': case '\uFE62': case '\uFE63': case '\uFF0B': case '\uFF0D':
+      return 'ES';
+    case ',': case '.': case '/': case ':': case '\u00A0': case '\u060C': case '\u202F': case '\u2044':
+    case '\uFE50': case '\uFE52': case '\uFE55': case '\uFF0C': case '\uFF0E': case '\uFF0F': case '\uFF1A':
+      return 'CS';
+    case '#': case '%': case '°': case '±': case '\u066A': case '‰': case '′': case '″': case '‴':
+      return 'ET';
+  }
+
+  if (/[0-9\u00B2\u00B3\u00B9\u06F0-\u06F9\u2070-\u2079\u2080-\u2089\uFF10-\uFF19]/u.test(char)) return 'EN';
+  if (/[\u0600-\u0605\u0660-\u0669\u066B\u066C\u06DD\u08E2]/u.test(char)) return 'AN';
+  if (/[\p{Mn}\p{Me}]/u.test(char)) return 'NSM';
+  if (/[\u0000-\u0008\u000E-\u001B\u007F-\u0084\u0086-\u009F\u00AD\u200B-\u200D\u202A-\u202E\u2060-\u2069\uFEFF]/u.test(char)) {
+    return 'BN';
+  }
+  if (/[ \f\u1680\u2000-\u200A\u2028\u205F\u3000]/u.test(char)) return 'WS';
+  if (/\p{Sc}/u.test(char)) return 'ET';
+  if (/[\p{Script=Arabic}\p{Script=Syriac}\p{Script=Thaana}\u0860-\u086F\u08A0-\u08FF\uFB50-\uFDFF\uFE70-\uFEFE]/u.test(char)) {
+    return 'AL';
+  }
+  if (/[\p{Script=Hebrew}\p{Script=Nko}\p{Script=Samaritan}\p{Script=Mandaic}\u07C0-\u085F\uFB1D-\uFB4F]/u.test(char)) {
+    return 'R';
+  }
+  if (/[\p{P}\p{S}\s]/u.test(char)) return 'ON';
+  return 'L';
+}
+
+/**
+ * Base level of a paragraph (P2, P3): 1 when its first strong character is
+ * right-to-left, 0 when it is left-to-right or there is none
+ */
+export function getParagraphLevel(text) {
+  for (const char of text) {
+    const cls = getBidiClass(char);
+    if (cls === 'L') return 0;
+    if (cls === 'R' || cls === 'AL') return 1;
+  }
+  return 0;
+}
+
+/**
+ * Embedding level of every UTF-16 code unit of a paragraph
+ */
+export function resolveLevels(text, paragraphLevel) {
+  const chars = [];
+  for (let offset = 0; offset < text.length;) {
+    const char = String.fromCodePoint(text.codePointAt(offset));
+    chars.push({ offset, length: char.length, cls: getBidiClass(char), original: null });
+    offset += char.length;
+  }
+  for (const char of chars) char.original = char.cls;
+
+  // X9: boundary neutrals take no part in the resolution
+  const run = chars.filter(char => char.cls !== 'BN');
+  const sos = paragraphLevel % 2 ? 'R' : 'L';
+  const typeAt = i => (i < 0 || i >= run.length ? sos : run[i].cls);
+
+  // W1: non-spacing marks take the type of the character before them
+  for (let i = 0; i < run.length; i++) {
+    if (run[i].cls === 'NSM') run[i].cls = i > 0 ? run[i - 1].cls : sos;
+  }
+
+  // W2, W3: European numbers after Arabic letters are Arabic numbers; AL is R
+  let lastStrong = sos;
+  for (const char of run) {
+    if (char.cls === 'L' || char.cls === 'R' || char.cls === 'AL') lastStrong = char.cls;
+    else if (char.cls === 'EN' && lastStrong === 'AL') char.cls = 'AN';
+  }
+  for (const char of run) {
+    if (char.cls === 'AL') char.cls = 'R';
+  }
+
+  // W4: a single separator between two numbers of the same kind joins them
+  for (let i = 1; i < run.length - 1; i++) {
+    const before = run[i - 1].cls;
+    const after = run[i + 1].cls;
+    if (run[i].cls === 'ES' && before === 'EN' && after === 'EN') run[i].cls = 'EN';
+    else if (run[i].cls === 'CS' && before === after && (before === 'EN' || before === 'AN')) run[i].cls = before;
+  }
+
+  // W5: terminators next to European numbers ("$12", "50%")
+  for (let i = 0; i < run.length; i++) {
+    if (run[i].cls !== 'ET') continue;
+    let end = i;
+    while (end < run.length && run[end].cls === 'ET') end++;
+    if (typeAt(i - 1) === 'EN' || (end < run.length && run[end].cls === 'EN')) {
+      for (let j = i; j < end; j++) run[j].cls = 'EN';
+    }
+    i = end - 1;
+  }
+
+  // W6, W7: leftover separators are neutral; European numbers in left-to-right context are L
+  lastStrong = sos;
+  for (const char of run) {
+    if (char.cls === 'ES' || char.cls === 'ET' || char.cls === 'CS') char.cls = 'ON';
+    if (char.cls === 'L' || char.cls === 'R') lastStrong = char.cls;
+    else if (char.cls === 'EN' && lastStrong === 'L') char.cls = 'L';
+  }
+
+  // N1, N2: neutrals between characters of the same direction take it, others the embedding direction
+  const isNeutral = cls => cls === 'ON' || cls === 'WS' || cls === 'S' || cls === 'B';
+  const direction = cls => (cls === 'L' ? 'L' : 'R');
+  for (let i = 0; i < run.length; i++) {
+    if (!isNeutral(run[i].cls)) continue;
+    let end = i;
+    while (end < run.length && isNeutral(run[end].cls)) end++;
+    const before = direction(typeAt(i - 1));
+    const after = direction(typeAt(end));
+    const resolved = before === after ? before : sos;
+    for (let j = i; j < end; j++) run[j].cls = resolved;
+    i = end - 1;
+  }
+
+  // I1, I2: implicit levels
+  for (const char of run) {
+    if (paragraphLevel % 2 === 0) {
+      char.level = paragraphLevel + (char.cls === 'R' ? 1 : char.cls === 'L' ? 0 : 2);
+    } else {
+      char.level = paragraphLevel + (char.cls === 'R' ? 0 : 1);
+    }
+  }
+
+  // L1: separators, and whitespace before them or at the end, fall back to the paragraph level
+  let trailing = true;
+  for (let i = chars.length - 1; i >= 0; i--) {
+    const cls = chars[i].original;
+    if (cls === 'S' || cls === 'B') {
+      chars[i].level = paragraphLevel;
+      trailing = true;
+    } else if (trailing && (cls === 'WS' || cls === 'BN')) {
+      chars[i].level = paragraphLevel;
+    } else {
+      trailing = false;
+    }
+  }
+
+  // Boundary neutrals go with the character before them
+  const levels = new Array(text.length);
+  let previous = paragraphLevel;
+  for (const char of chars) {
+    const level = char.level ?? previous;
+    for (let j = 0; j < char.length; j++) levels[char.offset + j] = level;
+    previous = level;
+  }
+  return levels;
+}
+
+/**
+ * Visual order of the runs of one line (L2): from the highest level down
+ * to the lowest odd one, every sequence at that level or above is reversed.
+ * runs are [{ level, ... }] in logical order.
+ */
+export function reorderRuns(runs) {
+  const ordered = [...runs];
+  if (ordered.length === 0) return ordered;
+
+  const levels = ordered.map(run => run.level);
+  const highest = Math.max(...levels);
+  const lowestOdd = Math.min(...levels.filter(level => level % 2 === 1), highest + 1);
+
+  for (let level = highest; level >= lowestOdd; level--) {
+    for (let i = 0; i < ordered.length; i++) {
+      if (ordered[i].level < level) continue;
+      let end = i;
+      while (end < ordered.length && ordered[end].level >= level) end++;
+      const reversed = ordered.slice(i, end).reverse();
+      ordered.splice(i, end - i, ...reversed);
+      i = end;
+    }
+  }
+
+  return ordered;
+}
+
+/**
+ * Mirror brackets and guillemets for display in a right-to-left run (L4)
+ */
+export function mirrorText(text) {
+  let mirrored = '';
+  for (const char of text) mirrored += MIRRORED.get(char) || char;
+  return mirrored;
+}
@@ -0,0 +1,127 @@
+/**
+ * Font Fallback Chain
+ * Picks a font for every character: the crawl font, then the fallback fonts
+ * in order, and the canvas (system) font for anything none of them covers.
+ * Text is measured and drawn in runs of one font, so both always agree.
+ */
+
+import { measureTextWidth } from './font-metrics.js';
+
+// Joiners, soft hyphens and direction marks are not drawn and never count as missing
+const INVISIBLE = /[\p{Cf}\p{Cc}]/u;
+
+export class FontChain {
+  /**
+   * fonts: opentype.js fonts, most preferred first (null entries are skipped).
+   * measureSystemText(text, fontSize) measures text set in the canvas font.
+   * options.letterSpacing (in ems) is added after every character;
+   * options.uppercase sets text in capitals and options.smallCaps sets
+   * lowercase letters as small capitals, both only when measuring and
+   * drawing, so hyphenation still sees the text as typed.
+   */
+  constructor(fonts, measureSystemText, options = {}) {
+    this.fonts = fonts.filter(font => font);
+    this.measureSystemText = measureSystemText;
+    this.letterSpacing = options.letterSpacing || 0;
+    this.uppercase = options.uppercase || false;
+    this.smallCaps = options.smallCaps || false;
+    this.fontCache = new Map();
+  }
+
+  /**
+   * Text as it is set (in capitals with the uppercase transform)
+   */
+  transformText(text) {
+    return this.uppercase ? text.toUpperCase() : text;
+  }
+
+  /**
+   * Glyph positioning options at a size (see font-metrics.js positionGlyphs)
+   */
+  getGlyphOptions(fontSize) {
+    return { letterSpacing: this.letterSpacing * fontSize, smallCaps: this.smallCaps };
+  }
+
+  /**
+   * The first font with a glyph for the character, or null for the canvas font
+   */
+  getFontFor(char) {
+    let font = this.fontCache.get(char);
+    if (font === undefined) {
+      font = this.fonts.find(candidate => candidate.charToGlyphIndex(char) > 0) || null;
+      this.fontCache.set(char, font);
+    }
+    return font;
+  }
+
+  /**
+   * Split text into runs [{ text, font }] of consecutive characters set in
+   * the same font. Combining marks and invisible characters stay with the
+   * character before them when its font has them too; invisible characters
+   * it lacks are left out rather than drawn as .notdef boxes.
+   */
+  splitRuns(text) {
+    const runs = [];
+    let current = null;
+
+    for (const char of this.transformText(text)) {
+      if (current && /[\p{M}\p{Cf}]/u.test(char)) {
+        if (current.font === null || current.font.charToGlyphIndex(char) > 0) {
+          current.text += char;
+          continue;
+        }
+        if (INVISIBLE.test(char)) continue;
+      }
+
+      const font = this.getFontFor(char);
+      if (current && current.font === font) {
+        current.text += char;
+      } else {
+        current = { text: char, font };
+        runs.push(current);
+      }
+    }
+
+    return runs;
+  }
+
+  /**
+   * Width of a run in pixels
+   */
+  measureRun(run, fontSize) {
+    if (run.font) {
+      return measureTextWidth(run.font, run.text, fontSize, this.getGlyphOptions(fontSize));
+    }
+    return this.measureSystemText(run.text, fontSize) + this.letterSpacing * fontSize * [...run.text].length;
+  }
+
+  /**
+   * Width of a string in pixels, font by font
+   */
+  measureText(text, fontSize) {
+    if (this.fonts.length === 0) {
+      return this.measureRun({ text: this.transformText(text), font: null }, fontSize);
+    }
+
+    let width = 0;
+    for (const run of this.splitRuns(text)) {
+      width += this.measureRun(run, fontSize);
+    }
+    return width;
+  }
+
+  /**
+   * Characters of the text that no font of the chain covers (drawn with the canvas font)
+   */
+  findMissingChars(text) {
+    const missing = new Set();
+    if (this.fonts.length === 0) return missing;
+
+    for (const char of this.transformText(text)) {
+      if (!/\s/u.test(char) && !INVISIBLE.test(char) && !this.getFontFor(char)) {
+        missing.add(char);
+      }
+    }
+    return missing;
+  }
+}
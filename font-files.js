@@ -0,0 +1,50 @@
+/**
+ * Font Files
+ * Fonts imported from TTF, OTF, WOFF or WOFF2 files, kept in project files
+ * as base64 so a crawl reopens with the same typography
+ */
+
+import { isWoff2, decodeWoff2 } from './woff2.js';
+import { loadVariations } from './font-variations.js';
+
+export const FONT_FILE_PATTERN = /\.(ttf|otf|woff2?)$/i;
+
+/**
+ * Parse a font file (ArrayBuffer) with opentype.js. WOFF2 files are decoded
+ * first, with decompressBrotli(bytes, expectedLength) resolving to the
+ * decompressed bytes (see woff2.js).
+ * The variation tables of variable fonts are read too (see font-variations.js).
+ */
+export async function parseFontFile(buffer, decompressBrotli) {
+  const sfnt = isWoff2(buffer) ? await decodeWoff2(buffer, decompressBrotli) : buffer;
+  const font = opentype.parse(sfnt);
+  await loadVariations(font, sfnt);
+  return font;
+}
+
+/**
+ * Display name of a parsed font, e.g. "Open Sans Bold"
+ */
+export function getFontName(font) {
+  const names = font.names.fullName || font.names.fontFamily || {};
+  return names.en || Object.values(names)[0] || 'Unnamed font';
+}
+
+export function encodeBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  // In chunks, so String.fromCharCode never gets too many arguments
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export function decodeBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
@@ -0,0 +1,124 @@
+/**
+ * Font Metrics
+ * Kerning-aware text measurement shared by the layout engine and the renderer
+ */
+
+const widthCaches = new WeakMap();
+const MAX_CACHED_WIDTHS = 20000;
+
+// Size of synthesized small capitals, for fonts without an smcp feature
+const SMALL_CAPS_SCALE = 0.7;
+const smallCapCaches = new WeakMap();
+
+/**
+ * Kerning between two glyphs in font units: GPOS pair adjustment when the
+ * font has a kern feature, else the legacy 'kern' table
+ */
+export function getKerning(font, leftGlyph, rightGlyph) {
+  const kerningTables = font.position && font.position.defaultKerningTables;
+  if (kerningTables) {
+    return font.position.getKerningValue(kerningTables, leftGlyph.index, rightGlyph.index);
+  }
+  return font.kerningPairs[leftGlyph.index + ',' + rightGlyph.index] || 0;
+}
+
+/**
+ * Small capitals of a font's smcp feature: glyph index -> glyph index
+ * (empty when the font has none)
+ */
+export function getSmallCapSubstitutions(font) {
+  let substitutions = smallCapCaches.get(font);
+  if (!substitutions) {
+    substitutions = new Map();
+    for (let script of ['latn', 'cyrl', 'grek', 'DFLT']) {
+      for (let { sub, by } of font.substitution.getSingle('smcp', script, 'dflt')) {
+        if (!substitutions.has(sub)) substitutions.set(sub, by);
+      }
+    }
+    smallCapCaches.set(font, substitutions);
+  }
+  return substitutions;
+}
+
+/**
+ * Glyphs of a string with the size each is set at: lowercase letters become
+ * the font's small capitals, or capitals at a reduced size when it has none
+ */
+function getSmallCapGlyphs(font, text, fontSize) {
+  const substitutions = getSmallCapSubstitutions(font);
+  if (substitutions.size > 0) {
+    return font.stringToGlyphs(text).map(glyph => ({
+      glyph: substitutions.has(glyph.index) ? font.glyphs.get(substitutions.get(glyph.index)) : glyph,
+      fontSize
+    }));
+  }
+
+  const glyphs = [];
+  for (let [chunk] of text.matchAll(/\p{Ll}[\p{Ll}\p{M}]*|\P{Ll}+/gu)) {
+    const lower = /^\p{Ll}/u.test(chunk);
+    const size = lower ? fontSize * SMALL_CAPS_SCALE : fontSize;
+    for (let glyph of font.stringToGlyphs(lower ? chunk.toUpperCase() : chunk)) {
+      glyphs.push({ glyph, fontSize: size });
+    }
+  }
+  return glyphs;
+}
+
+/**
+ * Glyphs of a string with their pen positions (pixels from the string origin)
+ * and the total kerned advance width. opentype.js returns the glyphs in
+ * logical order with Arabic joining forms applied; options.rtl lays them out
+ * from the right end of the string instead of the left.
+ * options.letterSpacing adds that many pixels after every glyph, and
+ * options.smallCaps sets lowercase letters as small capitals; each entry
+ * carries the size its glyph is drawn at.
+ */
+export function positionGlyphs(font, text, fontSize, options = {}) {
+  const { rtl = false, letterSpacing = 0, smallCaps = false } = options;
+  const glyphs = smallCaps ?
+    getSmallCapGlyphs(font, text, fontSize) :
+    font.stringToGlyphs(text).map(glyph => ({ glyph, fontSize }));
+  const positioned = [];
+  let x = 0;
+
+  for (let i = 0; i < glyphs.length; i++) {
+    const { glyph, fontSize: size } = glyphs[i];
+    const scale = size / font.unitsPerEm;
+    positioned.push({ glyph, x, fontSize: size });
+    x += (glyph.advanceWidth || 0) * scale + letterSpacing;
+    // No kerning across a change of size (synthesized small capitals)
+    if (i < glyphs.length - 1 && glyphs[i + 1].fontSize === size) {
+      x += getKerning(font, glyph, glyphs[i + 1].glyph) * scale;
+    }
+  }
+
+  if (rtl) {
+    for (let entry of positioned) {
+      entry.x = x - entry.x - (entry.glyph.advanceWidth || 0) * entry.fontSize / font.unitsPerEm;
+    }
+  }
+
+  return { glyphs: positioned, width: x };
+}
+
+/**
+ * Advance width of a string in pixels, including pair kerning
+ * (options as for positionGlyphs)
+ */
+export function measureTextWidth(font, text, fontSize, options = {}) {
+  let cache = widthCaches.get(font);
+  if (!cache) {
+    cache = new Map();
+    widthCaches.set(font, cache);
+  }
+
+  const key = fontSize + '|' + (options.letterSpacing || 0) + '|' + (options.smallCaps ? 'c' : '') + '|' + text;
+  const cached = cache.get(key);
+  if (cached !== undefined) return cached;
+
+  const { width } = positionGlyphs(font, text, fontSize, options);
+
+  if (cache.size >= MAX_CACHED_WIDTHS) cache.clear();
+  cache.set(key, width);
+  return width;
+}
@@ -0,0 +1,546 @@
+/**
+ * Font Variations
+ * Instances of variable TrueType fonts. The axes come from the fvar table
+ * (parsed by opentype.js); the outlines and advance widths of an instance
+ * are computed here from the gvar deltas, after mapping the axis values
+ * through avar. Advances come from the gvar phantom points; HVAR, MVAR and
+ * GPOS deltas and CFF2 outlines are not applied.
+ */
+
+const WOFF_SIGNATURE = 0x774F4646; // 'wOFF'
+
+// gvar tuple flags
+const SHARED_POINT_NUMBERS = 0x8000;
+const EMBEDDED_PEAK_TUPLE = 0x8000;
+const INTERMEDIATE_REGION = 0x4000;
+const PRIVATE_POINT_NUMBERS = 0x2000;
+const TUPLE_INDEX_MASK = 0x0FFF;
+const TUPLE_COUNT_MASK = 0x0FFF;
+
+// Packed point numbers and deltas
+const POINTS_ARE_WORDS = 0x80;
+const POINT_RUN_COUNT_MASK = 0x7F;
+const DELTAS_ARE_ZERO = 0x80;
+const DELTAS_ARE_WORDS = 0x40;
+const DELTA_RUN_COUNT_MASK = 0x3F;
+
+// Instances kept per font; dragging an axis slider makes a new one at every step
+const MAX_CACHED_INSTANCES = 16;
+
+// Parsed gvar and avar tables by opentype.js font
+const variationData = new WeakMap();
+
+/**
+ * Axes of a font: [{ tag, name, min, default, max }], [] when it is not variable
+ */
+export function getVariationAxes(font) {
+  const fvar = font.tables.fvar;
+  if (!fvar) return [];
+
+  return fvar.axes.map(axis => ({
+    tag: axis.tag,
+    name: axis.name.en || Object.values(axis.name)[0] || axis.tag,
+    min: axis.minValue,
+    default: axis.defaultValue,
+    max: axis.maxValue
+  }));
+}
+
+/**
+ * Read the variation tables of a font file (sfnt or WOFF ArrayBuffer) so
+ * that instances of its opentype.js font can be made
+ */
+export async function loadVariations(font, buffer) {
+  if (!font.tables.fvar) return;
+
+  const axisCount = font.tables.fvar.axes.length;
+  const tables = await readTables(buffer, ['gvar', 'avar']);
+  if (!tables.gvar) {
+    console.warn('Variable font without gvar (CFF2 outlines are not supported); axes will have no effect');
+    return;
+  }
+
+  variationData.set(font, {
+    gvar: parseGvar(tables.gvar),
+    avar: tables.avar ? parseAvar(tables.avar, axisCount) : null,
+    instances: new Map()
+  });
+}
+
+/**
+ * The font at the given axis values ({ wght: 700, ... }; axes left out
+ * keep their default). This is the font itself when it is not variable or
+ * every axis is at its default, else an instance that measures and draws
+ * like any opentype.js font.
+ */
+export function getFontInstance(font, axisValues) {
+  const data = variationData.get(font);
+  if (!data) return font;
+
+  const coordinates = normalizeCoordinates(font.tables.fvar.axes, axisValues, data.avar);
+  if (coordinates.every(value => value === 0)) return font;
+
+  const key = coordinates.join(',');
+  let instance = data.instances.get(key);
+  if (!instance) {
+    if (data.instances.size >= MAX_CACHED_INSTANCES) data.instances.clear();
+    instance = createInstance(font, data.gvar, coordinates);
+    data.instances.set(key, instance);
+  }
+  return instance;
+}
+
+/**
+ * Axis values in the normalized -1..1 design space, through avar when the
+ * font has it, at the 2.14 precision the deltas are defined for
+ */
+function normalizeCoordinates(axes, axisValues, avar) {
+  return axes.map((axis, i) => {
+    const value = Math.min(Math.max(axisValues[axis.tag] ?? axis.defaultValue, axis.minValue), axis.maxValue);
+    let normalized = 0;
+    if (value < axis.defaultValue) {
+      normalized = (value - axis.defaultValue) / (axis.defaultValue - axis.minValue);
+    } else if (value > axis.defaultValue) {
+      normalized = (value - axis.defaultValue) / (axis.maxValue - axis.defaultValue);
+    }
+
+    if (avar && avar[i].length > 0) {
+      normalized = mapSegments(avar[i], normalized);
+    }
+    return Math.round(normalized * 16384) / 16384;
+  });
+}
+
+function mapSegments(map, value) {
+  for (let i = 1; i < map.length; i++) {
+    const [fromStart, toStart] = map[i - 1];
+    const [fromEnd, toEnd] = map[i];
+    if (value <= fromEnd) {
+      if (fromEnd === fromStart) return toEnd;
+      return toStart + (value - fromStart) * (toEnd - toStart) / (fromEnd - fromStart);
+    }
+  }
+  return map[map.length - 1][1];
+}
+
+/**
+ * A font object that inherits everything from the default instance but
+ * hands out glyphs with varied outlines and advances
+ */
+function createInstance(font, gvar, coordinates) {
+  const instance = Object.create(font);
+  const glyphs = new Map();
+
+  instance.glyphs = {
+    length: font.glyphs.length,
+    get(index) {
+      if (!glyphs.has(index)) {
+        glyphs.set(index, createInstanceGlyph(font, gvar, coordinates, index));
+      }
+      return glyphs.get(index);
+    }
+  };
+
+  return instance;
+}
+
+function createInstanceGlyph(font, gvar, coordinates, index) {
+  const glyph = font.glyphs.get(index);
+  if (!glyph) return glyph;
+
+  const { points, origin, advance } = getVariedPoints(font, gvar, coordinates, index);
+  // The left phantom point stays the pen origin
+  for (let point of points) point.x -= origin;
+
+  const path = pointsToPath(points);
+  path.unitsPerEm = font.unitsPerEm;
+
+  const varied = new opentype.Glyph({ index, name: glyph.name, advanceWidth: advance, path });
+  varied.unicode = glyph.unicode;
+  varied.unicodes = glyph.unicodes;
+  return varied;
+}
+
+/**
+ * Outline points of a glyph with its deltas applied, plus the horizontal
+ * shift of its left phantom point (origin) and its varied advance width
+ */
+function getVariedPoints(font, gvar, coordinates, index) {
+  const glyph = font.glyphs.get(index);
+  glyph.path; // opentype.js parses TrueType glyphs on first use of their path
+
+  // Empty glyphs (spaces) have no points at all
+  const outline = glyph.isComposite ? null : glyph.points || [];
+  const pointCount = glyph.isComposite ? glyph.components.length : outline.length;
+  const deltas = getGlyphDeltas(gvar, coordinates, index, outline, glyph.endPointIndices || [], pointCount);
+
+  let points;
+  if (glyph.isComposite) {
+    points = [];
+    glyph.components.forEach((component, i) => {
+      const componentPoints = getVariedPoints(font, gvar, coordinates, component.glyphIndex).points;
+      const transform = { ...component, dx: component.dx + deltas[i].x, dy: component.dy + deltas[i].y };
+
+      if (component.matchedPoints !== undefined) {
+        // Positioned by matching a point of the glyph so far with one of the component
+        const anchor = points[component.matchedPoints[0]];
+        const attached = transformPoint(componentPoints[component.matchedPoints[1]], { ...component, dx: 0, dy: 0 });
+        transform.dx = anchor.x - attached.x;
+        transform.dy = anchor.y - attached.y;
+      }
+      for (let point of componentPoints) points.push(transformPoint(point, transform));
+    });
+  } else {
+    points = outline.map((point, i) => ({
+      x: point.x + deltas[i].x,
+      y: point.y + deltas[i].y,
+      onCurve: point.onCurve,
+      lastPointOfContour: point.lastPointOfContour
+    }));
+  }
+
+  const origin = deltas[pointCount].x;
+  const advance = (glyph.advanceWidth || 0) + deltas[pointCount + 1].x - origin;
+  return { points, origin, advance };
+}
+
+// Same transform as opentype.js uses for components of static fonts
+function transformPoint(point, transform) {
+  return {
+    x: transform.xScale * point.x + transform.scale01 * point.y + transform.dx,
+    y: transform.scale10 * point.x + transform.yScale * point.y + transform.dy,
+    onCurve: point.onCurve,
+    lastPointOfContour: point.lastPointOfContour
+  };
+}
+
+/**
+ * Quadratic outline of TrueType points (contours end at lastPointOfContour)
+ */
+function pointsToPath(points) {
+  const path = new opentype.Path();
+  let start = 0;
+
+  for (let end = 0; end < points.length; end++) {
+    if (!points[end].lastPointOfContour) continue;
+    const contour = points.slice(start, end + 1);
+    start = end + 1;
+
+    const first = contour[0];
+    const last = contour[contour.length - 1];
+    if (last.onCurve) {
+      path.moveTo(last.x, last.y);
+    } else if (first.onCurve) {
+      path.moveTo(first.x, first.y);
+    } else {
+      path.moveTo((last.x + first.x) / 2, (last.y + first.y) / 2);
+    }
+
+    for (let i = 0; i < contour.length; i++) {
+      const point = contour[i];
+      const next = contour[(i + 1) % contour.length];
+
+      if (point.onCurve) {
+        path.lineTo(point.x, point.y);
+      } else {
+        // Between two off-curve points lies an implied on-curve point
+        const to = next.onCurve ? next : { x: (point.x + next.x) / 2, y: (point.y + next.y) / 2 };
+        path.quadraticCurveTo(point.x, point.y, to.x, to.y);
+      }
+    }
+    path.closePath();
+  }
+
+  return path;
+}
+
+/* --- gvar --- */
+
+function parseGvar(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const axisCount = view.getUint16(4);
+  const sharedTupleCount = view.getUint16(6);
+  const sharedTuplesOffset = view.getUint32(8);
+  const glyphCount = view.getUint16(12);
+  const longOffsets = view.getUint16(14) & 1;
+  const dataOffset = view.getUint32(16);
+
+  const sharedTuples = [];
+  for (let i = 0; i < sharedTupleCount; i++) {
+    sharedTuples.push(readTuple(view, sharedTuplesOffset + i * axisCount * 2, axisCount));
+  }
+
+  const glyphOffsets = [];
+  for (let i = 0; i <= glyphCount; i++) {
+    glyphOffsets.push(dataOffset + (longOffsets ? view.getUint32(20 + i * 4) : view.getUint16(20 + i * 2) * 2));
+  }
+
+  return { view, axisCount, sharedTuples, glyphOffsets };
+}
+
+function readTuple(view, offset, axisCount) {
+  const tuple = [];
+  for (let i = 0; i < axisCount; i++) tuple.push(view.getInt16(offset + i * 2) / 16384);
+  return tuple;
+}
+
+/**
+ * Summed deltas [{ x, y }] of a glyph's points and its four phantom points
+ * at the normalized coordinates. points (simple glyphs only) are the default
+ * outline, needed to infer the deltas of points a variation leaves out.
+ */
+function getGlyphDeltas(gvar, coordinates, index, points, contourEnds, pointCount) {
+  const total = pointCount + 4;
+  const deltas = Array.from({ length: total }, () => ({ x: 0, y: 0 }));
+
+  const { view, axisCount, sharedTuples, glyphOffsets } = gvar;
+  if (index + 1 >= glyphOffsets.length || glyphOffsets[index] === glyphOffsets[index + 1]) {
+    return deltas;
+  }
+
+  const start = glyphOffsets[index];
+  const tupleCount = view.getUint16(start);
+  const cursor = { offset: start + view.getUint16(start + 2) };
+  let sharedPoints = null;
+  if (tupleCount & SHARED_POINT_NUMBERS) {
+    sharedPoints = readPointNumbers(view, cursor, total);
+  }
+
+  let header = start + 4;
+  for (let t = 0; t < (tupleCount & TUPLE_COUNT_MASK); t++) {
+    const dataSize = view.getUint16(header);
+    const tupleIndex = view.getUint16(header + 2);
+    header += 4;
+
+    let peak;
+    if (tupleIndex & EMBEDDED_PEAK_TUPLE) {
+      peak = readTuple(view, header, axisCount);
+      header += axisCount * 2;
+    } else {
+      peak = sharedTuples[tupleIndex & TUPLE_INDEX_MASK];
+    }
+
+    let intermediate = null;
+    if (tupleIndex & INTERMEDIATE_REGION) {
+      intermediate = [readTuple(view, header, axisCount), readTuple(view, header + axisCount * 2, axisCount)];
+      header += axisCount * 4;
+    }
+
+    const dataEnd = cursor.offset + dataSize;
+    const scalar = getTupleScalar(coordinates, peak, intermediate);
+    if (scalar !== 0) {
+      const pointNumbers = tupleIndex & PRIVATE_POINT_NUMBERS ? readPointNumbers(view, cursor, total) : sharedPoints;
+      const count = pointNumbers ? pointNumbers.length : total;
+      const xDeltas = readDeltas(view, cursor, count);
+      const yDeltas = readDeltas(view, cursor, count);
+
+      let tupleDeltas;
+      if (pointNumbers) {
+        tupleDeltas = new Array(total).fill(null);
+        pointNumbers.forEach((point, i) => {
+          if (point < total) tupleDeltas[point] = { x: xDeltas[i], y: yDeltas[i] };
+        });
+        if (points) inferDeltas(tupleDeltas, points, contourEnds);
+      } else {
+        tupleDeltas = xDeltas.map((x, i) => ({ x, y: yDeltas[i] }));
+      }
+
+      tupleDeltas.forEach((delta, i) => {
+        if (!delta) return;
+        deltas[i].x += delta.x * scalar;
+        deltas[i].y += delta.y * scalar;
+      });
+    }
+    cursor.offset = dataEnd;
+  }
+
+  return deltas;
+}
+
+/**
+ * How much of a variation applies at the coordinates: 1 at its peak,
+ * falling to 0 at the edges of its region
+ */
+function getTupleScalar(coordinates, peak, intermediate) {
+  let scalar = 1;
+
+  for (let i = 0; i < peak.length; i++) {
+    const top = peak[i];
+    if (top === 0) continue;
+
+    const lower = intermediate ? intermediate[0][i] : Math.min(top, 0);
+    const upper = intermediate ? intermediate[1][i] : Math.max(top, 0);
+    if (lower > top || top > upper || (lower < 0 && upper > 0)) continue;
+
+    const value = coordinates[i];
+    if (value === top) continue;
+    if (value <= lower || value >= upper) return 0;
+    scalar *= value < top ? (value - lower) / (top - lower) : (value - upper) / (top - upper);
+  }
+
+  return scalar;
+}
+
+/**
+ * Packed point numbers; null means every point
+ */
+function readPointNumbers(view, cursor, total) {
+  let count = view.getUint8(cursor.offset++);
+  if (count === 0) return null;
+  if (count & POINTS_ARE_WORDS) {
+    count = ((count & POINT_RUN_COUNT_MASK) << 8) | view.getUint8(cursor.offset++);
+  }
+
+  const numbers = [];
+  let point = 0;
+  while (numbers.length < count) {
+    const control = view.getUint8(cursor.offset++);
+    const runCount = (control & POINT_RUN_COUNT_MASK) + 1;
+    for (let i = 0; i < runCount && numbers.length < count; i++) {
+      if (control & POINTS_ARE_WORDS) {
+        point += view.getUint16(cursor.offset);
+        cursor.offset += 2;
+      } else {
+        point += view.getUint8(cursor.offset++);
+      }
+      numbers.push(point);
+    }
+  }
+  return numbers.length >= total ? null : numbers;
+}
+
+function readDeltas(view, cursor, count) {
+  const deltas = [];
+  while (deltas.length < count) {
+    const control = view.getUint8(cursor.offset++);
+    const runCount = (control & DELTA_RUN_COUNT_MASK) + 1;
+    for (let i = 0; i < runCount && deltas.length < count; i++) {
+      if (control & DELTAS_ARE_ZERO) {
+        deltas.push(0);
+      } else if (control & DELTAS_ARE_WORDS) {
+        deltas.push(view.getInt16(cursor.offset));
+        cursor.offset += 2;
+      } else {
+        deltas.push(view.getInt8(cursor.offset++));
+      }
+    }
+  }
+  return deltas;
+}
+
+/**
+ * Interpolate the deltas of the points a variation leaves out (IUP): each
+ * untouched point moves with the touched points around it in its contour.
+ * Phantom points left out do not move.
+ */
+function inferDeltas(deltas, points, contourEnds) {
+  let start = 0;
+
+  for (let end of contourEnds) {
+    const touched = [];
+    for (let i = start; i <= end; i++) {
+      if (deltas[i]) touched.push(i);
+    }
+
+    if (touched.length === 0) {
+      for (let i = start; i <= end; i++) deltas[i] = { x: 0, y: 0 };
+    } else {
+      for (let t = 0; t < touched.length; t++) {
+        const from = touched[t];
+        const to = touched[(t + 1) % touched.length];
+        // Points after 'from' up to 'to', wrapping around the contour
+        for (let i = from === end ? start : from + 1; i !== to; i = i === end ? start : i + 1) {
+          deltas[i] = {
+            x: interpolateDelta(points[i].x, points[from].x, points[to].x, deltas[from].x, deltas[to].x),
+            y: interpolateDelta(points[i].y, points[from].y, points[to].y, deltas[from].y, deltas[to].y)
+          };
+        }
+      }
+    }
+    start = end + 1;
+  }
+
+  for (let i = 0; i < deltas.length; i++) {
+    if (!deltas[i]) deltas[i] = { x: 0, y: 0 };
+  }
+}
+
+function interpolateDelta(value, value1, value2, delta1, delta2) {
+  if (value1 === value2) return delta1 === delta2 ? delta1 : 0;
+  if (value1 > value2) {
+    [value1, value2] = [value2, value1];
+    [delta1, delta2] = [delta2, delta1];
+  }
+  if (value <= value1) return delta1;
+  if (value >= value2) return delta2;
+  return delta1 + (value - value1) * (delta2 - delta1) / (value2 - value1);
+}
+
+/* --- avar --- */
+
+function parseAvar(bytes, axisCount) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const maps = [];
+  let offset = 8;
+
+  for (let i = 0; i < axisCount; i++) {
+    const count = view.getUint16(offset);
+    offset += 2;
+    const map = [];
+    for (let j = 0; j < count; j++) {
+      map.push([view.getInt16(offset) / 16384, view.getInt16(offset + 2) / 16384]);
+      offset += 4;
+    }
+    maps.push(map);
+  }
+
+  return maps;
+}
+
+/* --- TABLE DIRECTORY --- */
+
+/**
+ * Bytes of the named tables of an sfnt or WOFF file: { tag: Uint8Array }
+ */
+async function readTables(buffer, tags) {
+  const view = new DataView(buffer);
+  const tables = {};
+
+  if (view.getUint32(0) === WOFF_SIGNATURE) {
+    const numTables = view.getUint16(12);
+    for (let i = 0; i < numTables; i++) {
+      const entry = 44 + i * 20;
+      const tag = readTag(view, entry);
+      if (!tags.includes(tag)) continue;
+
+      const offset = view.getUint32(entry + 4);
+      const compLength = view.getUint32(entry + 8);
+      const origLength = view.getUint32(entry + 12);
+      const bytes = new Uint8Array(buffer, offset, compLength);
+      tables[tag] = compLength < origLength ? await inflate(bytes) : bytes;
+    }
+  } else {
+    const numTables = view.getUint16(4);
+    for (let i = 0; i < numTables; i++) {
+      const entry = 12 + i * 16;
+      const tag = readTag(view, entry);
+      if (tags.includes(tag)) {
+        tables[tag] = new Uint8Array(buffer, view.getUint32(entry + 8), view.getUint32(entry + 12));
+      }
+    }
+  }
+
+  return tables;
+}
+
+function readTag(view, offset) {
+  let tag = '';
+  for (let i = 0; i < 4; i++) tag += String.fromCharCode(view.getUint8(offset + i));
+  return tag;
+}
+
+// WOFF 1.0 tables are zlib streams
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
@@ -5,6 +5,7 @@ module.exports = {
     ignore: [
       /^\/src/,
       /^\/helpers/,
+      /^\/test/,
       /^\/\.git/,
       /^\/out/
     ]
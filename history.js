@@ -0,0 +1,79 @@
+/**
+ * Undo/Redo Command History
+ * Keeps snapshots of the crawl settings. Consecutive commands of the same
+ * kind (typing, dragging a slider) are merged into a single undo step.
+ */
+
+export class CommandHistory {
+  constructor(options = {}) {
+    this.limit = options.limit || 200;
+    this.mergeWindow = options.mergeWindow || 1000;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.current = null;
+    this.lastKind = null;
+    this.lastTime = 0;
+  }
+
+  /**
+   * Forget all history and start again from the given state
+   */
+  reset(state) {
+    this.current = JSON.stringify(state);
+    this.undoStack = [];
+    this.redoStack = [];
+    this.lastKind = null;
+  }
+
+  /**
+   * Record the state that results from a command. Returns false if nothing changed.
+   */
+  record(kind, state) {
+    const snapshot = JSON.stringify(state);
+    if (snapshot === this.current) return false;
+
+    const now = Date.now();
+    const merge = kind === this.lastKind &&
+      now - this.lastTime < this.mergeWindow &&
+      this.undoStack.length > 0;
+
+    if (!merge) {
+      this.undoStack.push(this.current);
+      if (this.undoStack.length > this.limit) {
+        this.undoStack.shift();
+      }
+    }
+
+    this.current = snapshot;
+    this.redoStack = [];
+    this.lastKind = kind;
+    this.lastTime = now;
+    return true;
+  }
+
+  undo() {
+    if (!this.canUndo()) return null;
+
+    this.redoStack.push(this.current);
+    this.current = this.undoStack.pop();
+    this.lastKind = null;
+    return JSON.parse(this.current);
+  }
+
+  redo() {
+    if (!this.canRedo()) return null;
+
+    this.undoStack.push(this.current);
+    this.current = this.redoStack.pop();
+    this.lastKind = null;
+    return JSON.parse(this.current);
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+}
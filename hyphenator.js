@@ -0,0 +1,171 @@
+/**
+ * Liang Pattern Hyphenation
+ * Finds discretionary hyphen positions using TeX hyphenation patterns
+ */
+
+import enUS from './hyphenation/en-us.js';
+import de from './hyphenation/de.js';
+import fr from './hyphenation/fr.js';
+import es from './hyphenation/es.js';
+
+// Bundled pattern sets, keyed by project language code
+export const HYPHENATION_LANGUAGES = {
+  en: enUS,
+  de: de,
+  fr: fr,
+  es: es
+};
+
+const hyphenatorCache = new Map();
+
+/**
+ * Shared hyphenator for a language code, or null if no patterns are bundled for it
+ */
+export function getHyphenator(language) {
+  const patterns = HYPHENATION_LANGUAGES[language];
+  if (!patterns) return null;
+
+  if (!hyphenatorCache.has(language)) {
+    hyphenatorCache.set(language, new Hyphenator(patterns));
+  }
+  return hyphenatorCache.get(language);
+}
+
+export class Hyphenator {
+  constructor(language, options = {}) {
+    this.leftMin = language.leftmin;
+    this.rightMin = language.rightmin;
+    this.charSubstitution = language.charSubstitution || {};
+    this.minWordLength = options.minWordLength || 5;
+    this.trie = this.buildTrie(language.patterns);
+    this.exceptions = this.parseExceptions(language.exceptions);
+  }
+
+  /**
+   * Build a character trie from patterns packed by length ("a1bc2d..." chunks of N chars)
+   */
+  buildTrie(patternsByLength) {
+    const root = { children: new Map(), points: null };
+
+    for (const [size, packed] of Object.entries(patternsByLength)) {
+      const patterns = packed.match(new RegExp(`.{1,${size}}`, 'gu')) || [];
+
+      for (const pattern of patterns) {
+        const chars = [];
+        const points = [0];
+
+        for (const char of pattern) {
+          if (char >= '0' && char <= '9') {
+            points[points.length - 1] = Number(char);
+          } else {
+            chars.push(char);
+            points.push(0);
+          }
+        }
+
+        let node = root;
+        for (const char of chars) {
+          if (!node.children.has(char)) {
+            node.children.set(char, { children: new Map(), points: null });
+          }
+          node = node.children.get(char);
+        }
+        node.points = points;
+      }
+    }
+
+    return root;
+  }
+
+  parseExceptions(list) {
+    const exceptions = new Map();
+    if (!list) return exceptions;
+
+    // "as-so-ciate, pro-ject" style lists (hyphen or U+2027 as separator)
+    for (const entry of list.split(/,\s*/)) {
+      const parts = entry.split(/[-‧]/);
+      exceptions.set(parts.join('').toLowerCase(), parts.map(part => [...part].length));
+    }
+    return exceptions;
+  }
+
+  /**
+   * Split a word into fragments at allowed hyphenation points.
+   * Leading and trailing punctuation stay attached to the outer fragments;
+   * short words and all-caps words (acronyms, names in crawls) are left whole.
+   */
+  hyphenate(word) {
+    const match = word.match(/^(\P{L}*)(.*?)(\P{L}*)$/u);
+    const [, prefix, core, suffix] = match;
+    const letters = [...core];
+
+    if (letters.length < this.minWordLength ||
+        /[^\p{L}\p{M}'’]/u.test(core) ||
+        core === core.toUpperCase()) {
+      return [word];
+    }
+
+    const positions = this.findBreakPositions(letters);
+    if (positions.length === 0) return [word];
+
+    const fragments = [];
+    let start = 0;
+    for (const position of positions) {
+      fragments.push(letters.slice(start, position).join(''));
+      start = position;
+    }
+    fragments.push(letters.slice(start).join(''));
+
+    fragments[0] = prefix + fragments[0];
+    fragments[fragments.length - 1] += suffix;
+    return fragments;
+  }
+
+  /**
+   * Character indices (into letters) before which a hyphen may be inserted
+   */
+  findBreakPositions(letters) {
+    const lower = letters.map(char => {
+      const folded = char.toLowerCase();
+      return this.charSubstitution[folded] || folded;
+    });
+
+    const exception = this.exceptions.get(lower.join(''));
+    if (exception) {
+      const positions = [];
+      let position = 0;
+      for (let i = 0; i < exception.length - 1; i++) {
+        position += exception[i];
+        positions.push(position);
+      }
+      return positions;
+    }
+
+    // Pattern matching runs over the word wrapped in boundary markers
+    const chars = ['_', ...lower, '_'];
+    const levels = new Array(chars.length + 1).fill(0);
+
+    for (let i = 0; i < chars.length; i++) {
+      let node = this.trie;
+      for (let j = i; j < chars.length; j++) {
+        node = node.children.get(chars[j]);
+        if (!node) break;
+
+        if (node.points) {
+          for (let k = 0; k < node.points.length; k++) {
+            levels[i + k] = Math.max(levels[i + k], node.points[k]);
+          }
+        }
+      }
+    }
+
+    // levels[i] sits before chars[i], i.e. before letters[i - 1]
+    const positions = [];
+    for (let position = this.leftMin; position <= letters.length - this.rightMin; position++) {
+      if (levels[position + 1] % 2 === 1) {
+        positions.push(position);
+      }
+    }
+    return positions;
+  }
+}
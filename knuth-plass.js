@@ -3,154 +3,411 @@
  * Professional paragraph justification with optimal spacing
  */
 
+import { getHyphenator } from './hyphenator.js';
+import { getSpaceScale, isIdeographic } from './line-break.js';
+
+// Stretch of the gap between two ideographs, in ems (CJK lines have no spaces to stretch)
+const IDEOGRAPHIC_STRETCH = 0.15;
+
 export class KnuthPlassJustifier {
   constructor(options = {}) {
     this.tolerance = options.tolerance || 2;
+    // Tolerance of the first pass without hyphenation (-1 skips that pass)
+    this.pretolerance = options.pretolerance ?? 1;
+    // Extra stretch of the emergency pass, as a fraction of the line width
+    this.emergencyStretch = options.emergencyStretch ?? 0.1;
     this.hyphenPenalty = options.hyphenPenalty || 50;
+    this.exHyphenPenalty = options.exHyphenPenalty || 50;
     this.linePenalty = options.linePenalty || 10;
+    this.flaggedDemerits = options.flaggedDemerits ?? 3000;
+    this.adjDemerits = options.adjDemerits ?? 10000;
+    // Last line of a paragraph: fewer words than widowWords, or narrower than
+    // runtWidth (fraction of the line width), costs the square of the penalty
+    this.widowWords = options.widowWords ?? 2;
+    this.widowPenalty = options.widowPenalty ?? 150;
+    this.runtWidth = options.runtWidth ?? 0.15;
+    this.runtPenalty = options.runtPenalty ?? 150;
     this.fitnessClasses = 4;
     this.infinity = 10000;
+    this.hyphenator = null;
+    // Font expansion: glyphs may be scaled by up to this fraction of their width
+    this.expansion = options.expansion ?? 0;
+    // Margin protrusion tables { left, right } (see protrusion.js), null when off
+    this.protrusion = null;
+    // Line count difference from the optimum achieved by the last breakLines call
+    this.actualLooseness = 0;
+  }
+
+  /**
+   * Select the hyphenation patterns used by createItemsFromText (null disables hyphenation)
+   */
+  setLanguage(language) {
+    this.hyphenator = language ? getHyphenator(language) : null;
+  }
+
+  /**
+   * Characters that may hang into the left and right margins: Maps of
+   * character -> fraction of its width (null disables protrusion)
+   */
+  setProtrusion(left, right) {
+    this.protrusion = left || right ? { left: left || new Map(), right: right || new Map() } : null;
+  }
+
+  /**
+   * Font expansion limit as a fraction (0.02 lets glyphs grow or shrink by 2%)
+   */
+  setExpansion(expansion) {
+    this.expansion = expansion;
   }
 
   /**
-   * Break a paragraph into justified lines using Knuth-Plass algorithm
+   * Thresholds for widow (too few words) and runt (too short) last lines
    */
-  breakLines(items, lineWidths) {
-    // Start with initial active node
-    const activeNodes = [this.createNode(0, 0, 1, 0, 0, 0, [])];
+  setWidowControl(widowWords, runtWidth) {
+    this.widowWords = widowWords;
+    this.runtWidth = runtWidth;
+  }
+
+  /**
+   * Break a paragraph into justified lines using Knuth-Plass algorithm.
+   * Runs TeX-style passes until one finds a feasible set of breaks:
+   * 1. pretolerance, without hyphenation patterns (soft hyphens still break)
+   * 2. tolerance, with the hyphens of the patterns
+   * 3. emergency: extra stretch on every line, and overfull/underfull lines
+   *    are accepted rather than losing the paragraph
+   * With a looseness of N (TeX's \looseness) the paragraph is set N lines
+   * longer (or shorter, if negative) than optimal when that is feasible; a
+   * pass that can't reach it hands over to the next one, and the final pass
+   * settles for the closest line count (see actualLooseness).
+   */
+  breakLines(items, lineWidths, looseness = 0) {
+    const passes = [];
+
+    if (this.pretolerance >= 0) {
+      passes.push({ tolerance: this.pretolerance, hyphenate: false, emergencyStretch: 0, final: false });
+    }
+    passes.push({ tolerance: this.tolerance, hyphenate: true, emergencyStretch: 0, final: false });
+    passes.push({ tolerance: this.tolerance, hyphenate: true, emergencyStretch: this.emergencyStretch, final: true });
+
+    this.actualLooseness = 0;
+
+    for (let pass of passes) {
+      pass.looseness = looseness;
+      const breakpoints = this.findBreakpoints(items, lineWidths, pass);
+      if (breakpoints) {
+        return breakpoints;
+      }
+    }
+
+    console.warn('No valid breakpoints found, using fallback');
+    return [];
+  }
+
+  /**
+   * One line breaking pass over the active node list. Returns the break
+   * indices, or null if the pass failed.
+   *
+   * Each active node is a feasible break with a back-pointer to the best
+   * previous break. Nodes are deactivated as soon as their line can only get
+   * too long (or a forced break passes them), and at every breakpoint only the
+   * best candidate per line class and fitness class is kept. Lines past the
+   * end of lineWidths all share the last width, so they form a single class,
+   * except when looseness asks for a specific line count.
+   */
+  findBreakpoints(items, lineWidths, pass) {
     const sumWidth = this.computeSums(items);
-    
+    let activeNodes = [this.createNode(-1, 0, 0, 1, 0, 0, null)];
+
     for (let i = 0; i < items.length; i++) {
-      const item = items[i];
-      
-      // Only consider breaks at glue or penalty items
-      if (item.type === 'box') {
+      if (!this.isBreakpoint(items, i, pass)) {
         continue;
       }
-      
-      if (item.type === 'glue' || (item.type === 'penalty' && item.penalty < this.infinity)) {
-        const newActiveNodes = [];
-        
-        for (let node of activeNodes) {
-          const lineIdx = node.line;
-          const targetWidth = lineWidths[Math.min(lineIdx, lineWidths.length - 1)];
-          
-          const ratio = this.computeAdjustmentRatio(i, node.position, items, sumWidth, targetWidth);
-          
-          // Skip if line is too tight
-          if (ratio < -1) {
-            continue;
-          }
-          
-          // Check if this is a feasible breakpoint
-          if (ratio >= -1 && ratio <= this.tolerance) {
-            const demerits = this.computeDemerits(ratio, item, node);
-            const fitness = this.computeFitness(ratio);
-            
-            const newNode = this.createNode(
-              i + 1,  // Position after this break
-              lineIdx + 1,
-              fitness,
-              node.totalDemerits + demerits,
-              ratio,
-              node.totalWidth + sumWidth[i].width,
-              [...node.path, i]
-            );
-            
-            newActiveNodes.push(newNode);
+
+      const item = items[i];
+      const forced = item.type === 'penalty' && item.penalty <= -this.infinity;
+      const survivors = [];
+      const candidates = new Map();
+      const lastLineClass = pass.looseness ? Infinity : lineWidths.length - 1;
+      let rescue = null;
+
+      for (let node of activeNodes) {
+        const targetWidth = lineWidths[Math.min(node.line, lineWidths.length - 1)];
+        const extraStretch = pass.emergencyStretch * targetWidth;
+        const ratio = this.computeAdjustmentRatio(i, node.start, items, sumWidth, targetWidth, extraStretch);
+
+        // Deactivate nodes whose line is already too tight, or that would skip a forced break
+        if (ratio < -1 || forced) {
+          if (!rescue || node.totalDemerits < rescue.node.totalDemerits) {
+            rescue = { node, ratio };
           }
-          
-          // Keep the node active for future breaks
-          newActiveNodes.push(node);
+        } else {
+          survivors.push(node);
         }
-        
-        // Remove duplicates and keep best nodes
-        activeNodes.length = 0;
-        const bestByPosition = new Map();
-        
-        for (let node of newActiveNodes) {
-          const key = `${node.position}-${node.line}`;
-          if (!bestByPosition.has(key) || node.totalDemerits < bestByPosition.get(key).totalDemerits) {
-            bestByPosition.set(key, node);
+
+        // Feasible break: remember the best way to reach it per line number and fitness class
+        if (ratio >= -1 && ratio <= pass.tolerance) {
+          const fitness = this.computeFitness(ratio);
+          let totalDemerits = node.totalDemerits + this.computeDemerits(ratio, item, node, items);
+          if (i === items.length - 1) {
+            totalDemerits += this.computeLastLineDemerits(i, node.start, items, sumWidth, targetWidth);
+          }
+          const lineClass = Math.min(node.line + 1, lastLineClass);
+          const key = `${lineClass}:${fitness}`;
+          const best = candidates.get(key);
+
+          if (!best || totalDemerits < best.totalDemerits) {
+            candidates.set(key, { line: node.line + 1, lineClass, fitness, totalDemerits, ratio, previous: node });
           }
         }
-        
-        activeNodes.push(...bestByPosition.values());
-        
-        // Limit number of active nodes to prevent explosion
-        activeNodes.sort((a, b) => a.totalDemerits - b.totalDemerits);
-        if (activeNodes.length > 30) {
-          activeNodes.length = 30;
+      }
+
+      const start = this.findLineStart(items, i);
+
+      // A candidate that is worse than the best one of its line class by more
+      // than adjDemerits can never become part of the optimum
+      const minimumByClass = new Map();
+      for (let candidate of candidates.values()) {
+        const minimum = minimumByClass.get(candidate.lineClass);
+        if (minimum === undefined || candidate.totalDemerits < minimum) {
+          minimumByClass.set(candidate.lineClass, candidate.totalDemerits);
+        }
+      }
+
+      for (let candidate of candidates.values()) {
+        if (candidate.totalDemerits <= minimumByClass.get(candidate.lineClass) + this.adjDemerits) {
+          survivors.push(this.createNode(
+            i,
+            start,
+            candidate.line,
+            candidate.fitness,
+            candidate.totalDemerits,
+            candidate.ratio,
+            candidate.previous
+          ));
         }
       }
+
+      // Final pass: rather than running out of active nodes, accept the least
+      // bad overfull/underfull line here (TeX's "artificial demerits")
+      if (pass.final && rescue && survivors.length === 0) {
+        const { node, ratio } = rescue;
+        survivors.push(this.createNode(
+          i,
+          start,
+          node.line + 1,
+          this.computeFitness(ratio),
+          node.totalDemerits,
+          ratio,
+          node
+        ));
+      }
+
+      activeNodes = survivors;
+      if (activeNodes.length === 0) {
+        return null;
+      }
     }
-    
-    // Find best final node
-    if (activeNodes.length === 0) {
-      console.warn('No valid breakpoints found, using fallback');
-      return [];
+
+    // Only nodes at the forced break that ends the paragraph are complete solutions
+    let best = null;
+    for (let node of activeNodes) {
+      if (node.position === items.length - 1 && (!best || node.totalDemerits < best.totalDemerits)) {
+        best = node;
+      }
     }
-    
-    activeNodes.sort((a, b) => a.totalDemerits - b.totalDemerits);
-    return activeNodes[0].path;
+
+    if (!best) {
+      return null;
+    }
+
+    if (pass.looseness) {
+      best = this.applyLooseness(activeNodes, best, items, pass);
+    }
+
+    return best ? this.collectBreakpoints(best) : null;
+  }
+
+  /**
+   * Among the complete solutions, the one whose line count comes closest to
+   * optimum + looseness without overshooting (fewest demerits on a tie).
+   * Returns null if a non-final pass can't reach the requested looseness.
+   */
+  applyLooseness(activeNodes, optimum, items, pass) {
+    let chosen = optimum;
+    let chosenDiff = 0;
+
+    for (let node of activeNodes) {
+      if (node.position !== items.length - 1) {
+        continue;
+      }
+
+      const lineDiff = node.line - optimum.line;
+      const between = pass.looseness > 0
+        ? lineDiff > chosenDiff && lineDiff <= pass.looseness
+        : lineDiff < chosenDiff && lineDiff >= pass.looseness;
+
+      if (between || (lineDiff === chosenDiff && node.totalDemerits < chosen.totalDemerits)) {
+        chosen = node;
+        chosenDiff = lineDiff;
+      }
+    }
+
+    this.actualLooseness = chosenDiff;
+    return chosenDiff === pass.looseness || pass.final ? chosen : null;
+  }
+
+  /**
+   * Legal breakpoints: glue that follows a box, and penalties below infinity
+   */
+  isBreakpoint(items, i, pass) {
+    const item = items[i];
+
+    if (item.type === 'glue') {
+      return i > 0 && items[i - 1].type === 'box';
+    }
+
+    if (item.type === 'penalty') {
+      // Pattern hyphens are only tried once the first pass has failed; soft
+      // hyphens typed by the user are legal breaks in every pass, as in TeX
+      if (!pass.hyphenate && item.auto) {
+        return false;
+      }
+      return item.penalty < this.infinity;
+    }
+
+    return false;
   }
 
-  createNode(position, line, fitness, totalDemerits, ratio, totalWidth, path) {
-    return { position, line, fitness, totalDemerits, ratio, totalWidth, path };
+  /**
+   * Index of the first item of the line after a break; glue and penalties
+   * at the start of a line are discarded
+   */
+  findLineStart(items, breakIdx) {
+    let start = breakIdx + 1;
+    while (start < items.length && items[start].type !== 'box' &&
+           !(items[start].type === 'penalty' && items[start].penalty <= -this.infinity)) {
+      start++;
+    }
+    return start;
+  }
+
+  /**
+   * Follow the back-pointers from the final node to get the break indices
+   */
+  collectBreakpoints(node) {
+    const breakpoints = [];
+    for (let current = node; current.position >= 0; current = current.previous) {
+      breakpoints.unshift(current.position);
+    }
+    return breakpoints;
+  }
+
+  createNode(position, start, line, fitness, totalDemerits, ratio, previous) {
+    return { position, start, line, fitness, totalDemerits, ratio, previous };
   }
 
   computeSums(items) {
     const sums = [];
-    let width = 0, stretch = 0, shrink = 0;
+    let width = 0, stretch = 0, shrink = 0, fill = 0;
     
     for (let item of items) {
       if (item.type === 'box') {
         width += item.width || 0;
+        stretch += item.stretch || 0;
+        shrink += item.shrink || 0;
       } else if (item.type === 'glue') {
         width += item.width || 0;
         stretch += item.stretch || 0;
         shrink += item.shrink || 0;
+        fill += item.fill || 0;
       }
-      sums.push({ width, stretch, shrink });
+      sums.push({ width, stretch, shrink, fill });
     }
     
     return sums;
   }
 
-  computeAdjustmentRatio(breakIdx, startIdx, items, sumWidth, targetWidth) {
-    // Calculate actual width of content
-    let actualWidth = sumWidth[breakIdx].width;
+  /**
+   * Natural width, stretch and shrink of the line from startIdx to breakIdx.
+   * fill counts infinitely stretchable glue (the paragraph's finishing glue).
+   */
+  measureLine(breakIdx, startIdx, items, sumWidth) {
+    let width = sumWidth[breakIdx].width;
+    let stretch = sumWidth[breakIdx].stretch;
+    let shrink = sumWidth[breakIdx].shrink;
+    let fill = sumWidth[breakIdx].fill;
     if (startIdx > 0) {
-      actualWidth -= sumWidth[startIdx - 1].width;
+      width -= sumWidth[startIdx - 1].width;
+      stretch -= sumWidth[startIdx - 1].stretch;
+      shrink -= sumWidth[startIdx - 1].shrink;
+      fill -= sumWidth[startIdx - 1].fill;
     }
     
-    // Subtract trailing glue at end of line
-    if (breakIdx < items.length && items[breakIdx].type === 'glue') {
-      actualWidth -= items[breakIdx].width || 0;
+    // Subtract trailing glue at end of line, add the hyphen of a penalty break
+    const breakItem = items[breakIdx];
+    if (breakItem && breakItem.type === 'glue') {
+      width -= breakItem.width || 0;
+      stretch -= breakItem.stretch || 0;
+      shrink -= breakItem.shrink || 0;
+      fill -= breakItem.fill || 0;
+    } else if (breakItem && breakItem.type === 'penalty') {
+      width += breakItem.width || 0;
+    }
+
+    // Characters hanging into the margins don't count against the line width
+    const protrusion = this.measureProtrusion(breakIdx, startIdx, items);
+    width -= protrusion.left + protrusion.right;
+
+    return { width, stretch, shrink, fill, protrudeLeft: protrusion.left };
+  }
+
+  /**
+   * Margin protrusion of the line's first box and of its last box (or the
+   * hyphen of a discretionary break)
+   */
+  measureProtrusion(breakIdx, startIdx, items) {
+    if (!this.protrusion) {
+      return { left: 0, right: 0 };
     }
+
+    const first = items[startIdx];
+    const left = first && first.type === 'box' ? first.protrudeLeft : 0;
+    let right = 0;
+
+    const breakItem = items[breakIdx];
+    if (breakItem.type === 'penalty' && breakItem.width > 0) {
+      right = breakItem.protrudeRight || 0;
+    } else {
+      for (let i = breakIdx - 1; i >= startIdx; i--) {
+        if (items[i].type === 'box') {
+          right = items[i].protrudeRight;
+          break;
+        }
+      }
+    }
+
+    return { left, right };
+  }
+
+  computeAdjustmentRatio(breakIdx, startIdx, items, sumWidth, targetWidth, extraStretch = 0) {
+    const { width: actualWidth, stretch, shrink, fill } = this.measureLine(breakIdx, startIdx, items, sumWidth);
     
     if (Math.abs(actualWidth - targetWidth) < 0.001) {
       return 0;
     }
     
     if (actualWidth < targetWidth) {
-      // Need to stretch
-      let stretch = sumWidth[breakIdx].stretch;
-      if (startIdx > 0) {
-        stretch -= sumWidth[startIdx - 1].stretch;
+      // Infinitely stretchable glue takes up all of the slack, the spaces keep their width
+      if (fill > 0) {
+        return 0;
       }
-      
-      if (stretch > 0) {
-        return (targetWidth - actualWidth) / stretch;
+      // Need to stretch
+      if (stretch + extraStretch > 0) {
+        return (targetWidth - actualWidth) / (stretch + extraStretch);
       }
       return this.infinity;
     } else {
       // Need to shrink
-      let shrink = sumWidth[breakIdx].shrink;
-      if (startIdx > 0) {
-        shrink -= sumWidth[startIdx - 1].shrink;
-      }
-      
       if (shrink > 0) {
         return (targetWidth - actualWidth) / shrink;
       }
@@ -158,29 +415,64 @@ export class KnuthPlassJustifier {
     }
   }
 
-  computeDemerits(ratio, item, previousNode) {
-    let demerits = 0;
-    
-    // Base badness calculation
-    const badness = 100 * Math.pow(Math.abs(ratio), 3);
+  computeDemerits(ratio, item, previousNode, items) {
+    // Base badness calculation, capped like TeX's inf_bad
+    const badness = Math.min(100 * Math.pow(Math.abs(ratio), 3), this.infinity);
     
     // Line penalty
-    demerits = Math.pow(this.linePenalty + badness, 2);
+    let demerits = Math.pow(this.linePenalty + badness, 2);
     
-    // Add penalty from item
-    if (item.type === 'penalty' && item.penalty >= 0) {
-      demerits += Math.pow(item.penalty, 2);
+    // Add penalty from item (forced breaks cost nothing extra)
+    if (item.type === 'penalty') {
+      if (item.penalty >= 0) {
+        demerits += Math.pow(item.penalty, 2);
+      } else if (item.penalty > -this.infinity) {
+        demerits -= Math.pow(item.penalty, 2);
+      }
+    }
+    
+    // Two hyphenated lines in a row
+    const previousItem = previousNode.position >= 0 ? items[previousNode.position] : null;
+    if (item.flagged && previousItem && previousItem.flagged) {
+      demerits += this.flaggedDemerits;
     }
     
-    // Fitness class difference penalty
+    // Adjacent lines whose fitness classes are not neighbours
     const fitness = this.computeFitness(ratio);
     if (Math.abs(fitness - previousNode.fitness) > 1) {
-      demerits += 100;
+      demerits += this.adjDemerits;
     }
     
     return demerits;
   }
 
+  /**
+   * Extra demerits for a paragraph's last line that is a widow (a lone word)
+   * or a runt (a short stub), so earlier lines get set tighter or looser to
+   * bring more text down onto it. Orphans need page breaks, which a crawl
+   * doesn't have.
+   */
+  computeLastLineDemerits(breakIdx, startIdx, items, sumWidth, targetWidth) {
+    let demerits = 0;
+    let words = 1;
+
+    for (let i = startIdx; i < breakIdx; i++) {
+      if (items[i].type === 'glue' && !items[i].fill) {
+        words++;
+      }
+    }
+    if (words < this.widowWords) {
+      demerits += Math.pow(this.widowPenalty, 2);
+    }
+
+    const { width } = this.measureLine(breakIdx, startIdx, items, sumWidth);
+    if (width < targetWidth * this.runtWidth) {
+      demerits += Math.pow(this.runtPenalty, 2);
+    }
+
+    return demerits;
+  }
+
   computeFitness(ratio) {
     if (ratio < -0.5) return 0;
     if (ratio <= 0.5) return 1;
@@ -189,33 +481,49 @@ export class KnuthPlassJustifier {
   }
 
   /**
-   * Convert text with font metrics into items for line breaking
+   * Convert words (see markup.js: styled segments plus noBreakAfter) into
+   * items for line breaking. Boxes keep their segments for drawing.
+   * The paragraph ends with TeX's finishing glue (\parfillskip) so its last
+   * line is set at natural spacing, unless options.justifyLastLine is set.
+   * fonts is the FontChain (see font-chain.js) the text is measured with.
    */
-  createItemsFromText(words, fontSize, opentypeFont, spaceWidth) {
+  createItemsFromText(words, fontSize, fonts, spaceWidth, options = {}) {
     const items = [];
+    const hyphenWidth = this.measureWordWidth('-', fontSize, fonts);
     
     for (let i = 0; i < words.length; i++) {
       const word = words[i];
-      const width = this.measureWordWidth(word, fontSize, opentypeFont);
-      
-      // Add word as box
-      items.push({
-        type: 'box',
-        width: width,
-        value: word
-      });
+
+      if (word.segments.length > 1 || word.segments[0].style.noBreak) {
+        // Mixed-style (or mixed-direction) words and non-breaking spans stay in one piece
+        items.push(this.createBox(word.segments, fontSize, fonts));
+      } else {
+        this.pushHyphenatedWord(items, word.segments[0], fontSize, fonts, hyphenWidth);
+      }
       
       // Add space as glue (except after last word)
       if (i < words.length - 1) {
-        items.push({
-          type: 'glue',
-          width: spaceWidth,
-          stretch: spaceWidth * 0.5,
-          shrink: spaceWidth * 0.33
-        });
+        this.pushWordGap(items, word, words[i + 1], fontSize, spaceWidth);
       }
     }
     
+    // Finishing glue: a non-breaking, infinitely stretchable space before the end
+    if (!options.justifyLastLine) {
+      items.push({
+        type: 'penalty',
+        width: 0,
+        penalty: this.infinity,
+        flagged: false
+      });
+      items.push({
+        type: 'glue',
+        width: 0,
+        stretch: 0,
+        shrink: 0,
+        fill: 1
+      });
+    }
+
     // Force break at end
     items.push({
       type: 'penalty',
@@ -227,22 +535,142 @@ export class KnuthPlassJustifier {
     return items;
   }
 
-  measureWordWidth(word, fontSize, opentypeFont) {
-    if (!opentypeFont) {
-      return word.length * fontSize * 0.6;
+  /**
+   * Items between two words: glue for a space, or a break opportunity that
+   * needs no space (between ideographs, after a dash or slash)
+   */
+  pushWordGap(items, word, nextWord, fontSize, spaceWidth) {
+    const spaceScale = getSpaceScale(word.space);
+
+    if (spaceScale > 0) {
+      // An infinite penalty in front of the glue makes it a non-breaking space
+      if (word.noBreakAfter) {
+        items.push({
+          type: 'penalty',
+          width: 0,
+          penalty: this.infinity,
+          flagged: false
+        });
+      }
+
+      items.push({
+        type: 'glue',
+        width: spaceWidth * spaceScale,
+        stretch: spaceWidth * spaceScale * 0.5,
+        shrink: spaceWidth * spaceScale * 0.33,
+        // Bidi embedding level of the space (see markup.js applyBidiLevels)
+        level: word.spaceLevel
+      });
+      return;
     }
-    
-    const scale = fontSize / opentypeFont.unitsPerEm;
-    let width = 0;
-    
-    for (let char of word) {
-      const glyph = opentypeFont.charToGlyph(char);
-      if (glyph && glyph.advanceWidth) {
-        width += glyph.advanceWidth * scale;
+
+    // Without a space, words that may not be separated just abut
+    if (word.noBreakAfter) {
+      return;
+    }
+
+    const lastChar = [...word.text].pop();
+    if (isIdeographic(lastChar) || isIdeographic([...nextWord.text][0])) {
+      // Inter-character glue, so lines of ideographs can be justified
+      items.push({
+        type: 'glue',
+        width: 0,
+        stretch: fontSize * IDEOGRAPHIC_STRETCH,
+        shrink: 0,
+        level: word.spaceLevel
+      });
+      return;
+    }
+
+    // A break after an explicit hyphen counts as a hyphenated line
+    const hyphen = lastChar === '-' || lastChar === '\u2010';
+    items.push({
+      type: 'penalty',
+      width: 0,
+      penalty: hyphen ? this.exHyphenPenalty : 0,
+      flagged: hyphen,
+      value: ''
+    });
+  }
+
+  /**
+   * Boxes for a word of a single segment, with discretionary hyphens between its fragments
+   */
+  pushHyphenatedWord(items, segment, fontSize, fonts, hyphenWidth) {
+    // Soft hyphens are break opportunities of their own
+    const parts = segment.text.split('\u00AD').filter(part => part);
+
+    for (let p = 0; p < parts.length; p++) {
+      const fragments = this.hyphenator ? this.hyphenator.hyphenate(parts[p]) : [parts[p]];
+
+      for (let f = 0; f < fragments.length; f++) {
+        // Add word fragment as box
+        items.push(this.createBox([{ ...segment, text: fragments[f] }], fontSize, fonts));
+
+        // Discretionary hyphen between pattern fragments (auto: not typed by the user)
+        if (f < fragments.length - 1) {
+          items.push({
+            type: 'penalty',
+            width: hyphenWidth,
+            penalty: this.hyphenPenalty,
+            flagged: true,
+            value: '-',
+            auto: true,
+            protrudeRight: this.getProtrusion('right', '-', fontSize, fonts)
+          });
+        }
       }
+
+      if (p < parts.length - 1) {
+        items.push({
+          type: 'penalty',
+          width: hyphenWidth,
+          penalty: this.hyphenPenalty,
+          flagged: true,
+          value: '-',
+          protrudeRight: this.getProtrusion('right', '-', fontSize, fonts)
+        });
+      }
+    }
+  }
+
+  createBox(segments, fontSize, fonts) {
+    let width = 0;
+    let value = '';
+
+    for (let segment of segments) {
+      width += this.measureWordWidth(segment.text, fontSize, fonts);
+      value += segment.text;
+    }
+
+    const chars = [...value];
+    return {
+      type: 'box',
+      width,
+      value,
+      segments,
+      // Font expansion makes boxes stretchable and shrinkable too
+      stretch: width * this.expansion,
+      shrink: width * this.expansion,
+      protrudeLeft: this.getProtrusion('left', chars[0], fontSize, fonts),
+      protrudeRight: this.getProtrusion('right', chars[chars.length - 1], fontSize, fonts)
+    };
+  }
+
+  /**
+   * How far a character may hang into the 'left' or 'right' margin, in pixels
+   */
+  getProtrusion(side, char, fontSize, fonts) {
+    const factor = this.protrusion ? this.protrusion[side].get(char) : 0;
+    return factor ? factor * this.measureWordWidth(char, fontSize, fonts) : 0;
+  }
+
+  measureWordWidth(word, fontSize, fonts) {
+    if (!fonts) {
+      return word.length * fontSize * 0.6;
     }
     
-    return width;
+    return fonts.measureText(word, fontSize);
   }
 
   /**
@@ -257,9 +685,10 @@ export class KnuthPlassJustifier {
       const targetWidth = lineWidths[Math.min(i, lineWidths.length - 1)];
       
       const line = this.formatLine(items, start, end, targetWidth, sumWidth);
+      line.hyphen = items[end].type === 'penalty' && items[end].value ? items[end].value : '';
       lines.push(line);
       
-      start = end + 1;
+      start = this.findLineStart(items, end);
     }
     
     return lines;
@@ -268,7 +697,9 @@ export class KnuthPlassJustifier {
   formatLine(items, start, end, targetWidth, sumWidth) {
     const lineItems = [];
     
-    for (let i = start; i <= end; i++) {
+    // The glue the line is broken at disappears with the break
+    const last = items[end].type === 'glue' ? end - 1 : end;
+    for (let i = start; i <= last; i++) {
       const item = items[i];
       if (item.type === 'box' || item.type === 'glue') {
         lineItems.push(item);
@@ -276,11 +707,19 @@ export class KnuthPlassJustifier {
     }
     
     const ratio = this.computeAdjustmentRatio(end, start, items, sumWidth, targetWidth);
+    const { width, stretch, shrink, protrudeLeft } = this.measureLine(end, start, items, sumWidth);
     
     return {
       items: lineItems,
       ratio: ratio,
-      targetWidth: targetWidth
+      targetWidth: targetWidth,
+      naturalWidth: width,
+      stretch: stretch,
+      // The line starts this far left of the margin
+      protrudeLeft: protrudeLeft,
+      // Even fully shrunk the line sticks out of the column
+      overfull: width - shrink > targetWidth + 0.5,
+      overflow: Math.max(0, width - shrink - targetWidth)
     };
   }
 }
\ No newline at end of file
@@ -0,0 +1,167 @@
+/**
+ * Unicode Line Breaking (UAX #14)
+ * Finds line break opportunities with the pair rules of the Unicode line
+ * breaking algorithm. Characters are classified by ranges and Unicode
+ * properties rather than the full LineBreak.txt table; South East Asian
+ * scripts (Thai, Lao, Khmer, Myanmar) need a dictionary and are treated as
+ * letters, and Hangul syllables break like ideographs.
+ */
+
+// Breaking spaces become ' '; no-break spaces keep their own character
+const NO_BREAK_SPACES = /[\u00A0\u2007\u202F]/u;
+const THIN_SPACES = /[\u2009\u200A\u202F]/u;
+
+const SMALL_KANA = /[ぁぃぅぇぉっゃゅょゎゕゖァィゥェォッャュョヮヵヶㇰ-ㇿｧ-ｯー]/u;
+
+/**
+ * Line breaking class of a single character (a subset of the UAX #14 classes)
+ */
+export function getLineBreakClass(char) {
+  switch (char) {
+    case '\u200B': return 'ZW';
+    case '\u200D': return 'CM';
+    case '\u2060': case '\uFEFF': return 'WJ';
+    case '\u00A0': case '\u2007': case '\u202F': case '\u2011': case '\u034F': return 'GL';
+    case '\u00AD': return 'SHY';
+    case '-': return 'HY';
+    case '—': return 'B2';
+    case '…': case '\u2024': case '\u2025': return 'IN';
+    case '/': return 'SY';
+    case ')': case ']': return 'CP';
+    case ',': case '.': case ':': case ';': case '\u037E': case '\u0589': case '\u060C': case '\u060D': return 'IS';
+    case '!': case '?': case '\u061F': case '\uFF01': case '\uFF1F': return 'EX';
+    case '"': case '\'': return 'QU';
+    case '%': case '‰': case '°': case '¢': case '′': case '″': case '℃': return 'PO';
+    case '+': case '\\': return 'PR';
+    case '´': case 'ˈ': case 'ˌ': case '˟': return 'BB';
+    case '、': case '。': case '，': case '．': return 'CL';
+    case '々': case '〜': case '・': case 'ゝ': case 'ゞ': case 'ヽ': case 'ヾ': return 'NS';
+  }
+
+  if (/\s/u.test(char)) return 'SP';
+  if (/[\u2010\u2012\u2013|]/u.test(char)) return 'BA';
+  if (/\p{M}/u.test(char)) return 'CM';
+  if (/\p{Nd}/u.test(char)) return 'NU';
+  if (/\p{Ps}/u.test(char)) return 'OP';
+  if (/\p{Pe}/u.test(char)) return 'CL';
+  if (/[\p{Pi}\p{Pf}]/u.test(char)) return 'QU';
+  if (/\p{Sc}/u.test(char)) return 'PR';
+  if (SMALL_KANA.test(char)) return 'NS';
+  if (/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\u3000-\u303F\uFF00-\uFFEF\p{Extended_Pictographic}]/u.test(char)) {
+    return 'ID';
+  }
+  if (/\p{Script=Hebrew}/u.test(char) && /\p{L}/u.test(char)) return 'HL';
+  return 'AL';
+}
+
+/**
+ * Character offsets (UTF-16) before which a line may be broken.
+ * The start and end of the text are not included.
+ */
+export function findBreakOpportunities(text) {
+  const chars = [];
+  for (let offset = 0; offset < text.length;) {
+    const char = String.fromCodePoint(text.codePointAt(offset));
+    chars.push({ char, offset, cls: getLineBreakClass(char) });
+    offset += char.length;
+  }
+
+  // LB9/LB10: combining marks take the class of their base character
+  for (let i = 0; i < chars.length; i++) {
+    if (chars[i].cls === 'CM') {
+      const base = i > 0 ? chars[i - 1].cls : 'SP';
+      chars[i].cls = ['SP', 'ZW'].includes(base) ? 'AL' : base;
+    }
+  }
+
+  const breaks = [];
+  let beforeSpaces = null;
+
+  for (let i = 1; i < chars.length; i++) {
+    const before = chars[i - 1].cls;
+    const after = chars[i].cls;
+
+    // Class of the last character before any run of spaces (for the "SP*" rules)
+    if (before !== 'SP') {
+      beforeSpaces = before;
+    }
+
+    if (isBreakAllowed(before, after, beforeSpaces, i > 1 ? chars[i - 2].cls : null)) {
+      breaks.push(chars[i].offset);
+    }
+  }
+
+  return breaks;
+}
+
+function isBreakAllowed(before, after, beforeSpaces, twoBefore) {
+  // LB7: no break before spaces or zero width space
+  if (after === 'SP' || after === 'ZW') return false;
+  // LB8: break after zero width space
+  if (beforeSpaces === 'ZW') return true;
+  // LB11: word joiners
+  if (before === 'WJ' || after === 'WJ') return false;
+  // LB12, LB12a: no-break glue
+  if (before === 'GL') return false;
+  if (after === 'GL' && !['SP', 'BA', 'HY'].includes(before)) return false;
+  // Soft hyphens are left to hyphenation, which draws the hyphen
+  if (before === 'SHY' || after === 'SHY') return false;
+  // LB13: closing punctuation, exclamation, infix separators, slash
+  if (['CL', 'CP', 'EX', 'IS', 'SY'].includes(after)) return false;
+  // LB14-LB17: across spaces
+  if (beforeSpaces === 'OP') return false;
+  if (beforeSpaces === 'QU' && after === 'OP') return false;
+  if ((beforeSpaces === 'CL' || beforeSpaces === 'CP') && after === 'NS') return false;
+  if (beforeSpaces === 'B2' && after === 'B2') return false;
+  // LB18: break after spaces
+  if (before === 'SP') return true;
+  // LB19: quotes
+  if (before === 'QU' || after === 'QU') return false;
+  // LB21, LB21a, LB21b
+  if (['BA', 'HY', 'NS'].includes(after) || before === 'BB') return false;
+  if (twoBefore === 'HL' && (before === 'HY' || before === 'BA')) return false;
+  if (before === 'SY' && after === 'HL') return false;
+  // LB22: inseparable characters
+  if (after === 'IN') return false;
+  // LB23-LB25: letters, numbers and their prefixes and postfixes
+  const letter = cls => cls === 'AL' || cls === 'HL';
+  if ((letter(before) && after === 'NU') || (before === 'NU' && letter(after))) return false;
+  if ((before === 'PR' && after === 'ID') || (before === 'ID' && after === 'PO')) return false;
+  if ((before === 'PR' || before === 'PO') && letter(after)) return false;
+  if (letter(before) && (after === 'PR' || after === 'PO')) return false;
+  if (['PR', 'PO', 'OP', 'HY', 'IS', 'SY', 'NU'].includes(before) && after === 'NU') return false;
+  if (before === 'NU' && (after === 'PO' || after === 'PR')) return false;
+  // LB28, LB29: letters stay together, also after infix separators ("e.g.")
+  if (letter(before) && letter(after)) return false;
+  if (before === 'IS' && letter(after)) return false;
+  // LB30: brackets hugging letters and numbers
+  if ((letter(before) || before === 'NU') && after === 'OP') return false;
+  if (before === 'CP' && (letter(after) || after === 'NU')) return false;
+  // LB31: break everywhere else
+  return true;
+}
+
+/**
+ * Ideographic characters are set without spaces; lines of them are
+ * justified by stretching the gaps between the characters
+ */
+export function isIdeographic(char) {
+  const cls = getLineBreakClass(char);
+  return cls === 'ID' || cls === 'NS' || (cls === 'CL' && /[\u3000-\u303F\uFF00-\uFFEF]/u.test(char));
+}
+
+/**
+ * Width of the gap a space character leaves, relative to a normal space
+ * ('' for no space at all)
+ */
+export function getSpaceScale(space) {
+  if (!space) return 0;
+  return THIN_SPACES.test(space) ? 0.5 : 1;
+}
+
+/**
+ * Whether a whitespace character is a no-break space
+ */
+export function isNoBreakSpace(char) {
+  return NO_BREAK_SPACES.test(char);
+}
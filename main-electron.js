@@ -1,9 +1,152 @@
-const { app, BrowserWindow, Menu } = require('electron');
+const { app, BrowserWindow, Menu, dialog, ipcMain } = require('electron');
 const path = require('path');
+const fs = require('fs');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const brotliDecompress = promisify(zlib.brotliDecompress);
 
 let mainWindow;
 let aboutWindow;
 
+// Renderer crashes less than a minute apart count as a crash loop
+const CRASH_LOOP_WINDOW = 60 * 1000;
+let recentCrashes = [];
+
+const PROJECT_FILTERS = [
+  { name: 'Crawl Projects', extensions: ['crawl'] },
+  { name: 'All Files', extensions: ['*'] }
+];
+
+// Menu entries only notify the renderer, which owns the editor state
+function sendMenuCommand(command) {
+  if (mainWindow) mainWindow.webContents.send('menu-command', command);
+}
+
+/* --- PROJECT FILE IPC --- */
+ipcMain.handle('project:open', async () => {
+  const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+    title: 'Open Crawl Project',
+    filters: PROJECT_FILTERS,
+    properties: ['openFile']
+  });
+  if (canceled || filePaths.length === 0) return null;
+
+  const filePath = filePaths[0];
+  const contents = await fs.promises.readFile(filePath, 'utf8');
+  return { filePath, contents };
+});
+
+ipcMain.handle('project:save', async (event, { filePath, saveAs, contents }) => {
+  let target = filePath;
+
+  if (!target || saveAs) {
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: 'Save Crawl Project',
+      defaultPath: filePath || 'Untitled.crawl',
+      filters: PROJECT_FILTERS
+    });
+    if (result.canceled || !result.filePath) return null;
+    target = result.filePath;
+  }
+
+  await fs.promises.writeFile(target, contents, 'utf8');
+  return target;
+});
+
+ipcMain.handle('project:confirm-discard', async () => {
+  const { response } = await dialog.showMessageBox(mainWindow, {
+    type: 'warning',
+    buttons: ['Discard Changes', 'Cancel'],
+    defaultId: 1,
+    cancelId: 1,
+    message: 'The current crawl has unsaved changes.',
+    detail: 'Do you want to discard them?'
+  });
+  return response === 0;
+});
+
+ipcMain.handle('dialog:error', (event, { title, message }) => {
+  dialog.showErrorBox(title, message);
+});
+
+/* --- FONT IMPORT IPC --- */
+// Fonts whose table data inflates beyond this are refused
+const MAX_FONT_DATA_LENGTH = 64 * 1024 * 1024;
+
+// WOFF2 table data is Brotli compressed; the renderer has no decoder of its own.
+// Decompressed off the main thread and never past the size the file declares.
+ipcMain.handle('font:decompress-brotli', (event, bytes, expectedLength) => brotliDecompress(bytes, {
+  maxOutputLength: Math.min(expectedLength || MAX_FONT_DATA_LENGTH, MAX_FONT_DATA_LENGTH)
+}));
+
+/* --- AUTOSAVE / CRASH RECOVERY --- */
+function getAutosavePath() {
+  return path.join(app.getPath('userData'), 'autosave.json');
+}
+
+function clearAutosave() {
+  fs.rmSync(getAutosavePath(), { force: true });
+}
+
+// Short one-line summary of the autosaved crawl for the recovery dialog
+function describeAutosave(record) {
+  let crawl = '(untitled)';
+  try {
+    const { text } = JSON.parse(record.contents);
+    const parts = [text.title, text.subtitle].filter(Boolean);
+    if (parts.length > 0) crawl = parts.join(' - ');
+    else if (text.body.trim()) crawl = text.body.trim().slice(0, 60) + '...';
+  } catch (error) {
+    console.warn('Autosave preview unavailable:', error);
+  }
+
+  const lines = [
+    `Crawl: ${crawl}`,
+    `Last autosave: ${new Date(record.savedAt).toLocaleString()}`
+  ];
+  if (record.projectPath) lines.push(`File: ${record.projectPath}`);
+  return lines.join('\n');
+}
+
+// Written synchronously so a reload right after the message can't lose it
+ipcMain.on('autosave:write', (event, { projectPath, contents }) => {
+  const target = getAutosavePath();
+  const record = { projectPath, savedAt: new Date().toISOString(), contents };
+  try {
+    fs.writeFileSync(target + '.tmp', JSON.stringify(record), 'utf8');
+    fs.renameSync(target + '.tmp', target);
+  } catch (error) {
+    console.error('Autosave failed:', error);
+  }
+});
+
+ipcMain.on('autosave:clear', () => clearAutosave());
+
+ipcMain.handle('autosave:check', async () => {
+  let record;
+  try {
+    record = JSON.parse(await fs.promises.readFile(getAutosavePath(), 'utf8'));
+  } catch (error) {
+    return null; // Nothing to recover
+  }
+
+  const { response } = await dialog.showMessageBox(mainWindow, {
+    type: 'question',
+    title: 'Recover Crawl',
+    buttons: ['Restore', 'Discard'],
+    defaultId: 0,
+    cancelId: 1,
+    message: 'Crawl Studio found an unsaved session.',
+    detail: describeAutosave(record)
+  });
+
+  if (response === 0) return record;
+
+  clearAutosave();
+  return null;
+});
+
 function createAboutWindow() {
   // Prevent multiple about windows from opening
   if (aboutWindow) {
@@ -39,20 +182,100 @@ function createWindow() {
     fullscreenable: true,
     backgroundColor: '#000000',
     webPreferences: {
-      webSecurity: false // Required for loading local font/audio files
+      webSecurity: false, // Required for loading local font/audio files
+      preload: path.join(__dirname, 'preload.js')
     }
   });
 
   mainWindow.loadFile('index.html');
 
+  // The renderer offers to restore its autosave when it comes back up. It is
+  // reloaded once on its own; if it keeps crashing (a bad autosave or font)
+  // the user decides whether to try again.
+  mainWindow.webContents.on('render-process-gone', async (event, details) => {
+    if (details.reason === 'clean-exit') return;
+    console.error('Renderer process gone:', details.reason);
+
+    const now = Date.now();
+    recentCrashes = recentCrashes.filter(time => now - time < CRASH_LOOP_WINDOW);
+    recentCrashes.push(now);
+
+    if (recentCrashes.length === 1) {
+      mainWindow.reload();
+      return;
+    }
+
+    const { response } = await dialog.showMessageBox(mainWindow, {
+      type: 'error',
+      title: 'Crawl Studio',
+      buttons: ['Reload', 'Quit'],
+      defaultId: 0,
+      cancelId: 1,
+      message: 'The editor stopped unexpectedly again.',
+      detail: `It crashed ${recentCrashes.length} times in the last minute (${details.reason}). ` +
+        'If it happens after restoring the unsaved session, choose Discard when asked to recover it.'
+    });
+
+    if (response === 0) {
+      mainWindow.reload();
+    } else {
+      app.quit();
+    }
+  });
+
   // BUILD THE MENU
   const template = [
     {
       label: 'File',
       submenu: [
+        {
+          label: 'New',
+          accelerator: 'CmdOrCtrl+N',
+          click: () => sendMenuCommand('new')
+        },
+        {
+          label: 'Open...',
+          accelerator: 'CmdOrCtrl+O',
+          click: () => sendMenuCommand('open')
+        },
+        { type: 'separator' },
+        {
+          label: 'Save',
+          accelerator: 'CmdOrCtrl+S',
+          click: () => sendMenuCommand('save')
+        },
+        {
+          label: 'Save As...',
+          accelerator: 'CmdOrCtrl+Shift+S',
+          click: () => sendMenuCommand('save-as')
+        },
+        { type: 'separator' },
         { role: 'quit' }
       ]
     },
+    {
+      label: 'Edit',
+      submenu: [
+        // Shortcuts are shown here but handled by the renderer's own keydown listener
+        {
+          label: 'Undo',
+          accelerator: 'CmdOrCtrl+Z',
+          registerAccelerator: false,
+          click: () => sendMenuCommand('undo')
+        },
+        {
+          label: 'Redo',
+          accelerator: 'CmdOrCtrl+Shift+Z',
+          registerAccelerator: false,
+          click: () => sendMenuCommand('redo')
+        },
+        { type: 'separator' },
+        { role: 'cut' },
+        { role: 'copy' },
+        { role: 'paste' },
+        { role: 'selectAll' }
+      ]
+    },
     {
       label: 'View',
       submenu: [
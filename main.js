@@ -1,17 +1,27 @@
 import * as THREE from 'three';
 import { TextRenderer } from './text-renderer.js';
+import { createDefaultProject, createParagraphSettings, serializeProject, parseProject } from './project.js';
+import { DEFAULT_LEFT_PROTRUSION, DEFAULT_RIGHT_PROTRUSION } from './protrusion.js';
+import { CommandHistory } from './history.js';
+import { FONT_FILE_PATTERN, parseFontFile, getFontName, encodeBase64, decodeBase64 } from './font-files.js';
+import { getVariationAxes, getFontInstance } from './font-variations.js';
+import { DEFAULT_TEXT_STYLE } from './text-style.js';
+import { applySmartTypography, getChangeSnippets } from './smart-typography.js';
 import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
 
+// Main-process bridge exposed by preload.js (dialogs, file paths)
+const studio = window.crawlStudio;
+
 /* --- CONFIGURATION --- */
 const CANVAS_WIDTH = 2048;
 
 let scrollSpeed = 2;
-const tiltAngle = -80.0;
-const titleSize = 140;
-const subSize = 145;
-const bodySize = 110;
+let tiltAngle = -80.0;
+let titleSize = 140;
+let subSize = 145;
+let bodySize = 110;
 /* --- RECORDING STATE --- */
 let isRecording = false;
 let mediaRecorder = null;
@@ -29,45 +39,336 @@ let appInitialized = false;
 // Define the path once so it stays consistent
 const FONT_FILE_PATH = './star-wars-crawl/Pathway_Gothic_One/PathwayGothicOne-Regular.ttf';
 
+// Glyphs are drawn straight from the opentype.js outlines, so the app can
+// start as soon as the font file is parsed (no CSS font registration needed)
 opentype.load(FONT_FILE_PATH, (err, font) => {
   if (err) {
-    console.error("Opentype failed to load font:", err);
+    console.error("Opentype failed to load font, using canvas fallback font:", err);
     fontLoaded = false;
-    if (!appInitialized) initializeApp();
   } else {
     opentypeFont = font;
     fontLoaded = true;
-
-    // Use the same path constant for the CSS FontFace
-    const fontFace = new FontFace('PathwayGothic', `url(${FONT_FILE_PATH})`);
-    
-    fontFace.load().then((loadedFace) => {
-        document.fonts.add(loadedFace);
-        console.log("Font injected into CSS registry");
-        return document.fonts.ready;
-    }).then(() => {
-        console.log('Font engine fully ready');
-        if (!appInitialized) {
-            initializeApp();
-        } else if (textRenderer) {
-            textRenderer.setFont(opentypeFont);
-            renderTextToCanvas();
-        }
-    }).catch(e => {
-        console.error("Font injection error:", e);
-        // Fallback to initializing anyway so the app doesn't hang on a black screen
-        if (!appInitialized) initializeApp();
-    });
   }
+  if (!appInitialized) initializeApp();
 });
 
-// Initialize after a timeout if font doesn't load
-setTimeout(() => {
-  if (!appInitialized) {
-    console.log('Initializing without custom font');
-    initializeApp();
+/* --- CRAWL FONTS --- */
+// Fonts imported for the title, subtitle, body and fallback, by file name:
+// { data (the file as base64, saved with the project), font }
+const importedFonts = new Map();
+
+// Imported fonts tried in order for characters the section fonts lack
+let fallbackFontNames = [];
+
+// Font select of each crawl section; '' is the built-in crawl font
+const SECTION_FONT_SELECTS = { title: 'inTitleFont', subtitle: 'inSubFont', body: 'inBodyFont' };
+
+// Variable font axis values of each section ({ wght: 700 }) and the panels
+// their sliders go in. Values are kept across font changes, so a weight
+// carries over to another variable font; fonts clamp them to their range.
+let sectionAxes = { title: {}, subtitle: {}, body: {} };
+const SECTION_AXIS_PANELS = { title: 'titleAxes', subtitle: 'subAxes', body: 'bodyAxes' };
+
+/**
+ * Import a font file and return the name it is listed under: its file name,
+ * numbered ("Regular (2).ttf") when a different font already has that name.
+ * A file imported again keeps its first name.
+ */
+async function importFont(name, buffer) {
+  const data = encodeBase64(buffer);
+  for (let [importedName, entry] of importedFonts) {
+    if (entry.data === data) return importedName;
+  }
+
+  const font = await parseFontFile(buffer, studio.decompressBrotli);
+  const uniqueName = getUniqueFontName(name);
+  importedFonts.set(uniqueName, { data, font });
+  return uniqueName;
+}
+
+function getUniqueFontName(name) {
+  const dot = name.lastIndexOf('.');
+  const base = dot > 0 ? name.slice(0, dot) : name;
+  const extension = dot > 0 ? name.slice(dot) : '';
+
+  let uniqueName = name;
+  for (let number = 2; importedFonts.has(uniqueName); number++) {
+    uniqueName = `${base} (${number})${extension}`;
+  }
+  return uniqueName;
+}
+
+async function importFontFiles(files) {
+  for (let file of files) {
+    if (!FONT_FILE_PATTERN.test(file.name)) continue;
+    try {
+      await importFont(file.name, await file.arrayBuffer());
+    } catch (error) {
+      console.error('Error importing font:', error);
+      studio.showError('Could not import font', `${file.name}: ${error.message}`);
+    }
+  }
+  refreshFontOptions();
+}
+
+function refreshFontOptions() {
+  for (let id of Object.values(SECTION_FONT_SELECTS)) {
+    const select = document.getElementById(id);
+    const value = select.value;
+    select.innerHTML = '';
+    select.appendChild(new Option('Pathway Gothic One (Built-in)', ''));
+    for (let [name, { font }] of importedFonts) {
+      select.appendChild(new Option(`${getFontName(font)} (${name})`, name));
+    }
+    select.value = importedFonts.has(value) ? value : '';
+  }
+  refreshAxisControls();
+}
+
+function getFallbackFonts() {
+  return fallbackFontNames.map(name => importedFonts.get(name).font);
+}
+
+function setFallbackFonts(names) {
+  fallbackFontNames = names.filter(name => importedFonts.has(name));
+  refreshFallbackFontList();
+  if (textRenderer) {
+    textRenderer.setFallbackFonts(getFallbackFonts());
+    renderTextToCanvas();
+  }
+}
+
+function refreshFallbackFontList() {
+  const list = document.getElementById('fallbackFontList');
+  list.innerHTML = '';
+
+  fallbackFontNames.forEach((name, i) => {
+    list.appendChild(new Option(`${getFontName(importedFonts.get(name).font)} (${name})`, i));
+  });
+}
+
+function getSectionFont(section) {
+  const entry = importedFonts.get(document.getElementById(SECTION_FONT_SELECTS[section]).value);
+  return entry ? entry.font : null;
+}
+
+// One slider per axis of each section's font (none for static fonts)
+function refreshAxisControls() {
+  for (let [section, panelId] of Object.entries(SECTION_AXIS_PANELS)) {
+    const panel = document.getElementById(panelId);
+    const font = getSectionFont(section);
+    panel.innerHTML = '';
+
+    for (let axis of font ? getVariationAxes(font) : []) {
+      const value = Math.min(Math.max(sectionAxes[section][axis.tag] ?? axis.default, axis.min), axis.max);
+      const field = document.createElement('div');
+      field.className = 'field';
+
+      const label = document.createElement('label');
+      const display = document.createElement('span');
+      display.className = 'value-display';
+      display.innerText = value;
+      label.append(`${axis.name} (${axis.tag}) `, display);
+
+      const input = document.createElement('input');
+      input.type = 'range';
+      input.id = `axis-${section}-${axis.tag}`;
+      input.min = axis.min;
+      input.max = axis.max;
+      input.step = axis.max - axis.min > 10 ? 1 : 0.1;
+      input.value = value;
+      input.oninput = () => {
+        sectionAxes[section][axis.tag] = parseFloat(input.value);
+        display.innerText = input.value;
+        renderTextToCanvas();
+      };
+
+      field.append(label, input);
+      panel.appendChild(field);
+    }
+  }
+}
+
+function applySectionFonts() {
+  const fonts = {};
+  for (let section of Object.keys(SECTION_FONT_SELECTS)) {
+    const font = getSectionFont(section);
+    // Variable fonts are measured and drawn with the outlines of the chosen instance
+    fonts[section] = font ? getFontInstance(font, sectionAxes[section]) : null;
+  }
+  textRenderer.setSectionFonts(fonts);
+}
+
+// The imported fonts some section or the fallback uses, with their data, for the project file
+function collectProjectFonts() {
+  const used = new Set(Object.values(SECTION_FONT_SELECTS).map(id => document.getElementById(id).value));
+  fallbackFontNames.forEach(name => used.add(name));
+  return [...importedFonts]
+    .filter(([name]) => used.has(name))
+    .map(([name, { data }]) => ({ name, data }));
+}
+
+/**
+ * Select the fonts of a project, importing the ones it embeds. Fallback
+ * fonts of older projects are file paths, imported from disk if still there.
+ * Fonts that fail to load are left out, then reported in the error it throws.
+ */
+async function restoreProjectFonts(visual) {
+  const selected = { title: visual.titleFont, subtitle: visual.subFont, body: visual.bodyFont };
+  // Projects saved before fonts were embedded have none
+  const fonts = Array.isArray(visual.fonts) ? visual.fonts.filter(isEmbeddedFont) : [];
+  const fallbackFonts = Array.isArray(visual.fallbackFonts) ? visual.fallbackFonts.filter(name => typeof name === 'string') : [];
+  const embedded = new Set(fonts.map(({ name }) => name));
+  const fallbackPaths = fallbackFonts.filter(name => !embedded.has(name) && /[\\/]/.test(name));
+  // Fonts already imported are used as they are, so undo and redo stay synchronous
+  const pending = fonts.filter(({ name, data }) => importedFonts.get(name)?.data !== data);
+  const pendingNames = new Set(pending.map(({ name }) => name));
+  // Project fonts whose name was taken by a different imported font ('' when they failed to load)
+  const renamed = new Map();
+  const failed = [];
+
+  const getName = (name) => renamed.has(name) ? renamed.get(name) : name;
+  const isAvailable = (name, loaded) => importedFonts.has(name) && (loaded || !pendingNames.has(name));
+
+  const selectFonts = (loaded) => {
+    refreshFontOptions();
+    fallbackFontNames = fallbackFonts.map(getName).filter(name => isAvailable(name, loaded));
+    refreshFallbackFontList();
+    if (textRenderer) textRenderer.setFallbackFonts(getFallbackFonts());
+
+    for (let [section, id] of Object.entries(SECTION_FONT_SELECTS)) {
+      const name = getName(selected[section]);
+      const available = isAvailable(name, loaded);
+      if (name && loaded && !available) {
+        console.warn(`Font ${name} is not available, using the built-in font`);
+      }
+      document.getElementById(id).value = available ? name : '';
+    }
+    refreshAxisControls();
+  };
+
+  const complete = pending.length === 0 && fallbackPaths.length === 0;
+  selectFonts(complete);
+  if (complete) return;
+
+  for (let { name, data } of pending) {
+    try {
+      const importedName = await importFont(name, decodeBase64(data));
+      if (importedName !== name) renamed.set(name, importedName);
+    } catch (error) {
+      console.error('Error loading font from project:', name, error);
+      renamed.set(name, '');
+      failed.push(name);
+    }
+  }
+  for (let filePath of fallbackPaths) {
+    try {
+      const response = await fetch(studio.toFileUrl(filePath));
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      renamed.set(filePath, await importFont(filePath.split(/[\\/]/).pop(), await response.arrayBuffer()));
+    } catch (error) {
+      console.warn('Could not load fallback font:', filePath, error);
+      failed.push(filePath);
+    }
+  }
+  selectFonts(true);
+
+  if (failed.length > 0) {
+    throw new Error(`${failed.join(', ')} could not be loaded, the built-in font is used instead.`);
   }
-}, 2000);
+}
+
+// An entry of a project's fonts list: { name, data (base64) }
+function isEmbeddedFont(font) {
+  return typeof font?.name === 'string' && typeof font.data === 'string';
+}
+
+/* --- SECTION TYPOGRAPHY --- */
+// Control id prefix of each section: in<Prefix>Tracking, in<Prefix>WordSpacing, in<Prefix>Case
+const TYPOGRAPHY_PREFIXES = { title: 'Title', subtitle: 'Sub', body: 'Body' };
+
+// Typography of a section as the project stores it: tracking in 1/1000 em, word spacing in percent
+function collectSectionTypography(section) {
+  const prefix = TYPOGRAPHY_PREFIXES[section];
+  return {
+    tracking: parseInt(document.getElementById(`in${prefix}Tracking`).value),
+    wordSpacing: parseInt(document.getElementById(`in${prefix}WordSpacing`).value),
+    textTransform: document.getElementById(`in${prefix}Case`).value
+  };
+}
+
+function applySectionTypography(section, typography) {
+  const prefix = TYPOGRAPHY_PREFIXES[section];
+  document.getElementById(`in${prefix}Tracking`).value = typography.tracking;
+  document.getElementById(`in${prefix}WordSpacing`).value = typography.wordSpacing;
+  document.getElementById(`in${prefix}Case`).value = typography.textTransform;
+  showTypographyValues(section);
+}
+
+function showTypographyValues(section) {
+  const prefix = TYPOGRAPHY_PREFIXES[section];
+  const { tracking, wordSpacing } = collectSectionTypography(section);
+  document.getElementById(`${prefix.toLowerCase()}TrackingVal`).innerText = tracking;
+  document.getElementById(`${prefix.toLowerCase()}WordSpacingVal`).innerText = wordSpacing + '%';
+}
+
+// The renderer takes letter spacing in ems and word spacing as a factor of the space
+function getTypographyConfig() {
+  const typography = {};
+  for (let section of Object.keys(TYPOGRAPHY_PREFIXES)) {
+    const { tracking, wordSpacing, textTransform } = collectSectionTypography(section);
+    typography[section] = { letterSpacing: tracking / 1000, wordSpacing: wordSpacing / 100, textTransform };
+  }
+  return typography;
+}
+
+/* --- TEXT STYLES --- */
+// Fill, outline and shadow of each section, edited one section at a time
+let sectionStyles = { title: { ...DEFAULT_TEXT_STYLE }, subtitle: { ...DEFAULT_TEXT_STYLE }, body: { ...DEFAULT_TEXT_STYLE } };
+
+function showTextStyle() {
+  const style = sectionStyles[document.getElementById('inStyleSection').value];
+
+  document.getElementById('inStyleFill').value = style.fill;
+  document.getElementById('inStyleColor').value = style.color;
+  document.getElementById('styleColorField').hidden = style.fill !== 'solid';
+  document.getElementById('inStyleGradientTop').value = style.gradientTop;
+  document.getElementById('inStyleGradientBottom').value = style.gradientBottom;
+  document.getElementById('styleGradientFields').hidden = style.fill !== 'gradient';
+  document.getElementById('inStyleOutlineWidth').value = style.outlineWidth;
+  document.getElementById('styleOutlineWidthVal').innerText = style.outlineWidth + 'px';
+  document.getElementById('inStyleOutlineColor').value = style.outlineColor;
+  document.getElementById('styleOutlineColorField').hidden = style.outlineWidth === 0;
+  document.getElementById('inStyleShadow').value = style.shadow;
+  document.getElementById('inStyleShadowColor').value = style.shadowColor;
+  document.getElementById('inStyleShadowBlur').value = style.shadowBlur;
+  document.getElementById('styleShadowBlurVal').innerText = style.shadowBlur + 'px';
+  document.getElementById('inStyleShadowOffset').value = style.shadowOffset;
+  document.getElementById('styleShadowOffsetVal').innerText = style.shadowOffset + 'px';
+  document.getElementById('styleShadowFields').hidden = style.shadow === 'none';
+  // A glow has no direction
+  document.getElementById('styleShadowOffsetField').hidden = style.shadow !== 'drop';
+}
+
+function updateTextStyle() {
+  const section = document.getElementById('inStyleSection').value;
+
+  sectionStyles[section] = {
+    fill: document.getElementById('inStyleFill').value,
+    color: document.getElementById('inStyleColor').value,
+    gradientTop: document.getElementById('inStyleGradientTop').value,
+    gradientBottom: document.getElementById('inStyleGradientBottom').value,
+    outlineWidth: parseFloat(document.getElementById('inStyleOutlineWidth').value),
+    outlineColor: document.getElementById('inStyleOutlineColor').value,
+    shadow: document.getElementById('inStyleShadow').value,
+    shadowColor: document.getElementById('inStyleShadowColor').value,
+    shadowBlur: parseInt(document.getElementById('inStyleShadowBlur').value),
+    shadowOffset: parseInt(document.getElementById('inStyleShadowOffset').value)
+  };
+
+  showTextStyle();
+  renderTextToCanvas();
+}
 
 /* --- SCENE SETUP --- */
 const scene = new THREE.Scene();
@@ -178,6 +479,8 @@ function initializeApp() {
   if (fontLoaded && opentypeFont) {
     textRenderer.setFont(opentypeFont);
   }
+  textRenderer.setFallbackFonts(getFallbackFonts());
+  refreshFontOptions();
   
   textRenderer.initJustifier({
     tolerance: 2,
@@ -191,24 +494,68 @@ function initializeApp() {
   animate();
   
   document.getElementById('btnRecord').disabled = false;
+
+  checkForRecovery();
 }
 
-/* --- TEXT RENDERING --- */
-let firstRun = true;
+/* --- SMART TYPOGRAPHY --- */
+const SMART_TYPOGRAPHY_LABELS = { title: 'Title', subtitle: 'Subtitle', body: 'Story' };
+const MAX_PREVIEW_SNIPPETS = 50;
 
-function renderTextToCanvas() {
-  if (!textRenderer) return;
+// The crawl text as it is laid out: as typed, or after the smart typography pass
+function getCrawlText() {
+  const text = {
+    title: document.getElementById('inTitle').value,
+    subtitle: document.getElementById('inSub').value,
+    body: document.getElementById('inBody').value
+  };
+  const snippets = [];
+
+  if (document.getElementById('inSmartTypography').checked) {
+    const language = document.getElementById('inLanguage').value;
+    for (let section of Object.keys(text)) {
+      const { text: converted, changes } = applySmartTypography(text[section], language);
+      for (let snippet of getChangeSnippets(text[section], changes)) {
+        snippets.push({ section, ...snippet });
+      }
+      text[section] = converted;
+    }
+  }
+
+  showTypographyPreview(snippets);
+  return text;
+}
+
+// List what the smart typography pass changed, before -> after
+function showTypographyPreview(snippets) {
+  const panel = document.getElementById('typographyPreview');
+  panel.innerHTML = '';
+  panel.hidden = !document.getElementById('inSmartTypography').checked;
+
+  const summary = document.createElement('div');
+  summary.textContent = snippets.length === 0 ? 'No changes' : `${snippets.length} change(s):`;
+  panel.appendChild(summary);
 
-// If it's the very first time the app opens, give it a tiny breath
-  if (firstRun) {
-    firstRun = false;
-    setTimeout(renderTextToCanvas, 300);
-    return;
+  for (let { section, before, after } of snippets.slice(0, MAX_PREVIEW_SNIPPETS)) {
+    const entry = document.createElement('div');
+    entry.textContent = `${SMART_TYPOGRAPHY_LABELS[section]}: ${before} → ${after}`;
+    panel.appendChild(entry);
   }
+
+  if (snippets.length > MAX_PREVIEW_SNIPPETS) {
+    const more = document.createElement('div');
+    more.textContent = `... and ${snippets.length - MAX_PREVIEW_SNIPPETS} more`;
+    panel.appendChild(more);
+  }
+}
+
+/* --- TEXT RENDERING --- */
+function renderTextToCanvas() {
+  if (!textRenderer) return;
+  applySectionFonts();
   
-  const title = document.getElementById('inTitle').value;
-  const subtitle = document.getElementById('inSub').value;
-  const body = document.getElementById('inBody').value;
+  // Smart typography runs ahead of layout, the text fields keep what was typed
+  const { title, subtitle, body } = getCrawlText();
 
   // 1. IMPROVED ESTIMATION: Make the initial guess safer
   // Changing divisor from 6 to 3 assumes fewer words per line (safer for narrow columns)
@@ -221,8 +568,9 @@ function renderTextToCanvas() {
     estimatedLines += Math.ceil(words.length / 3); 
   }
 
-  const titleHeight = title ? titleSize * 2 : 0;
-  const subHeight = subtitle ? subSize * 2.5 : 0;
+  // Lines typed by hand; wrapped headings make the second render pass grow the canvas
+  const titleHeight = title ? titleSize * (1 + title.split('\n').length) : 0;
+  const subHeight = subtitle ? subSize * (1.5 + subtitle.split('\n').length) : 0;
   const bodyHeight = estimatedLines * lineHeight;
 
   // Set initial height with a buffer
@@ -234,8 +582,23 @@ function renderTextToCanvas() {
     subSize,
     bodySize,
     columnWidth,
-    useJustification: true,
-    justificationQuality: 2
+    justification: document.getElementById('inJustify').value,
+    language: document.getElementById('inLanguage').value,
+    direction: document.getElementById('inDirection').value,
+    headingWidth: parseInt(document.getElementById('inHeadingWidth').value),
+    headingFit: document.getElementById('inHeadingFit').value,
+    typography: getTypographyConfig(),
+    styles: sectionStyles,
+    systemFont: document.getElementById('inSystemFont').value.trim() || 'sans-serif',
+    highlightColor: document.getElementById('inHighlight').value,
+    widowWords: parseInt(document.getElementById('inWidowWords').value),
+    runtWidth: parseInt(document.getElementById('inRuntWidth').value),
+    paragraphs: paragraphSettings,
+    protrusion: document.getElementById('inProtrusion').checked ? {
+      left: document.getElementById('inProtrusionLeft').value,
+      right: document.getElementById('inProtrusionRight').value
+    } : null,
+    expansion: parseFloat(document.getElementById('inExpansion').value)
   };
 
   try {
@@ -251,6 +614,7 @@ function renderTextToCanvas() {
     }
 
     crawlHeight = finalHeight;
+    showLayoutIssues(textRenderer.layoutIssues);
   } catch (error) {
     console.error('Error rendering text:', error);
   }
@@ -276,6 +640,27 @@ function renderTextToCanvas() {
   updatePlaneTransform();
 }
 
+// List paragraphs that need attention (e.g. overfull lines) in the control panel
+function showLayoutIssues(issues) {
+  const panel = document.getElementById('layoutWarnings');
+  panel.innerHTML = '';
+  panel.hidden = issues.length === 0;
+
+  for (let issue of issues) {
+    const entry = document.createElement('div');
+    if (issue.type === 'missing-glyphs') {
+      entry.textContent = `No loaded font has ${issue.chars.join(' ')} - drawn with the system font`;
+    } else if (issue.type === 'looseness') {
+      entry.textContent = `Paragraph ${issue.paragraph}: looseness ${issue.requested} not possible, ` +
+        `set ${issue.actual} line(s) off optimal`;
+    } else {
+      entry.textContent = `Paragraph ${issue.paragraph}, line ${issue.line}: ${issue.type} ` +
+        `by ${Math.round(issue.amount)}px - "${issue.text}"`;
+    }
+    panel.appendChild(entry);
+  }
+}
+
 let composer;
 
 function initPostProcessing() {
@@ -315,6 +700,8 @@ function updatePlaneTransform() {
 
 /* --- AUDIO --- */
 let audioCtx, audioDest, audioTag, audioSource, gainNode;
+// Absolute path of the current music file, stored in the project
+let audioPath = null;
 
 function initAudio() {
   if (!audioCtx) {
@@ -331,6 +718,40 @@ function initAudio() {
   }
 }
 
+function loadAudio(url, filePath) {
+  initAudio();
+  audioPath = filePath || null;
+  document.getElementById('audioVal').innerText = audioPath ? audioPath.split(/[\\/]/).pop() : '';
+
+  audioTag.src = url;
+  audioTag.loop = document.getElementById('inLoop').checked;
+  audioTag.onloadeddata = () => {
+    if (audioCtx.state === 'suspended') audioCtx.resume();
+    audioTag.play();
+  };
+  audioTag.onerror = () => {
+    console.warn('Could not load music file:', filePath || url);
+  };
+}
+
+function clearAudio() {
+  audioPath = null;
+  document.getElementById('audioVal').innerText = '';
+  document.getElementById('inAudio').value = '';
+  if (audioTag) {
+    audioTag.pause();
+    audioTag.removeAttribute('src');
+    audioTag.load();
+  }
+}
+
+function setVolume(vol) {
+  document.getElementById('inVolume').value = vol;
+  document.getElementById('volVal').innerText = vol + '%';
+  if (gainNode) gainNode.gain.value = vol / 100;
+  if (audioTag) audioTag.volume = vol / 100;
+}
+
 /* --- CONTROLS --- */
 let isPaused = false;
 const clock = new THREE.Clock();
@@ -359,16 +780,166 @@ document.getElementById('btnReset').onclick = () => {
   }
 };
 
+document.getElementById('inTitleSize').oninput = (e) => {
+  titleSize = parseInt(e.target.value);
+  document.getElementById('titleSizeVal').innerText = titleSize + 'px';
+  renderTextToCanvas();
+};
+
+document.getElementById('inSubSize').oninput = (e) => {
+  subSize = parseInt(e.target.value);
+  document.getElementById('subSizeVal').innerText = subSize + 'px';
+  renderTextToCanvas();
+};
+
+document.getElementById('inBodySize').oninput = (e) => {
+  bodySize = parseInt(e.target.value);
+  document.getElementById('bodySizeVal').innerText = bodySize + 'px';
+  renderTextToCanvas();
+};
+
+for (let id of Object.values(SECTION_FONT_SELECTS)) {
+  document.getElementById(id).onchange = () => {
+    refreshAxisControls();
+    renderTextToCanvas();
+  };
+}
+
+for (let [section, prefix] of Object.entries(TYPOGRAPHY_PREFIXES)) {
+  const update = () => {
+    showTypographyValues(section);
+    renderTextToCanvas();
+  };
+  document.getElementById(`in${prefix}Tracking`).oninput = update;
+  document.getElementById(`in${prefix}WordSpacing`).oninput = update;
+  document.getElementById(`in${prefix}Case`).onchange = update;
+}
+
+document.getElementById('inStyleSection').onchange = showTextStyle;
+
+for (let id of ['inStyleFill', 'inStyleShadow']) {
+  document.getElementById(id).onchange = updateTextStyle;
+}
+for (let id of ['inStyleColor', 'inStyleGradientTop', 'inStyleGradientBottom', 'inStyleOutlineWidth',
+  'inStyleOutlineColor', 'inStyleShadowColor', 'inStyleShadowBlur', 'inStyleShadowOffset']) {
+  document.getElementById(id).oninput = updateTextStyle;
+}
+
+document.getElementById('inImportFont').onchange = async (e) => {
+  const files = [...e.target.files];
+  e.target.value = '';
+  await importFontFiles(files);
+};
+
+// Font files can also be dropped anywhere on the window
+window.addEventListener('dragover', (e) => {
+  e.preventDefault();
+});
+
+window.addEventListener('drop', (e) => {
+  e.preventDefault();
+  importFontFiles([...e.dataTransfer.files]);
+});
+
 document.getElementById('inSpeed').oninput = (e) => {
   scrollSpeed = parseFloat(e.target.value);
   document.getElementById('speedVal').innerText = scrollSpeed;
 };
 
 document.getElementById('inVolume').oninput = (e) => {
-  const vol = parseInt(e.target.value);
-  document.getElementById('volVal').innerText = vol + '%';
-  if (gainNode) gainNode.gain.value = vol / 100;
-  if (audioTag) audioTag.volume = vol / 100;
+  setVolume(parseInt(e.target.value));
+};
+
+document.getElementById('inJustify').onchange = () => {
+  renderTextToCanvas();
+};
+
+document.getElementById('inLanguage').onchange = () => {
+  renderTextToCanvas();
+};
+
+document.getElementById('inSmartTypography').onchange = () => {
+  renderTextToCanvas();
+};
+
+document.getElementById('inDirection').onchange = () => {
+  renderTextToCanvas();
+};
+
+document.getElementById('inHeadingWidth').oninput = (e) => {
+  document.getElementById('headingWidthVal').innerText = e.target.value + 'px';
+  renderTextToCanvas();
+};
+
+document.getElementById('inHeadingFit').onchange = () => {
+  renderTextToCanvas();
+};
+
+document.getElementById('inFallbackFont').onchange = async (e) => {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+
+  try {
+    const name = await importFont(file.name, await file.arrayBuffer());
+    refreshFontOptions();
+    if (!fallbackFontNames.includes(name)) {
+      setFallbackFonts([...fallbackFontNames, name]);
+      // Imported after the change event, so record the change for undo by hand
+      document.getElementById('fallbackFontList').dispatchEvent(new Event('change', { bubbles: true }));
+    }
+  } catch (error) {
+    console.error('Error importing font:', error);
+    studio.showError('Could not import font', `${file.name}: ${error.message}`);
+  }
+};
+
+document.getElementById('btnRemoveFallbackFont').onclick = () => {
+  const list = document.getElementById('fallbackFontList');
+  if (list.selectedIndex < 0) return;
+
+  setFallbackFonts(fallbackFontNames.filter((name, i) => i !== list.selectedIndex));
+  // Not an input event, so record the change for undo by hand
+  list.dispatchEvent(new Event('change', { bubbles: true }));
+};
+
+document.getElementById('inSystemFont').onchange = () => {
+  renderTextToCanvas();
+};
+
+document.getElementById('inHighlight').oninput = () => {
+  renderTextToCanvas();
+};
+
+document.getElementById('inWidowWords').oninput = (e) => {
+  document.getElementById('widowWordsVal').innerText = e.target.value;
+  renderTextToCanvas();
+};
+
+document.getElementById('inRuntWidth').oninput = (e) => {
+  document.getElementById('runtWidthVal').innerText = e.target.value + '%';
+  renderTextToCanvas();
+};
+
+document.getElementById('inProtrusion').onchange = (e) => {
+  document.getElementById('protrusionFields').hidden = !e.target.checked;
+  renderTextToCanvas();
+};
+
+document.getElementById('inExpansion').oninput = (e) => {
+  document.getElementById('expansionVal').innerText = '±' + e.target.value + '%';
+  renderTextToCanvas();
+};
+
+document.getElementById('inProtrusionLeft').value = DEFAULT_LEFT_PROTRUSION;
+document.getElementById('inProtrusionRight').value = DEFAULT_RIGHT_PROTRUSION;
+
+document.getElementById('inProtrusionLeft').oninput = () => {
+  renderTextToCanvas();
+};
+
+document.getElementById('inProtrusionRight').oninput = () => {
+  renderTextToCanvas();
 };
 
 document.getElementById('inLoop').onchange = (e) => {
@@ -378,12 +949,7 @@ document.getElementById('inLoop').onchange = (e) => {
 document.getElementById('inAudio').onchange = (e) => {
   const file = e.target.files[0];
   if (file) {
-    initAudio();
-    audioTag.src = URL.createObjectURL(file);
-    audioTag.onloadeddata = () => {
-      if (audioCtx.state === 'suspended') audioCtx.resume();
-      audioTag.play();
-    };
+    loadAudio(URL.createObjectURL(file), studio.getPathForFile(file));
   }
 };
 
@@ -408,6 +974,401 @@ window.addEventListener('keydown', (e) => {
   }
 });
 
+/* --- PARAGRAPH LAYOUT --- */
+// Per-paragraph settings, indexed like the non-empty paragraphs of the story
+let paragraphSettings = [];
+
+function getParagraphs() {
+  const body = document.getElementById('inBody').value;
+  return body.split('\n\n').map(para => para.trim()).filter(para => para);
+}
+
+// The paragraphs the settings were last indexed by
+let paragraphTexts = getParagraphs();
+
+/**
+ * Keep settings with their paragraphs when paragraphs are added or removed:
+ * the unchanged paragraphs before and after the edit keep theirs, edited
+ * ones keep theirs in order, and new ones start from the defaults
+ */
+function reindexParagraphSettings() {
+  const before = paragraphTexts;
+  const after = getParagraphs();
+  paragraphTexts = after;
+  if (before.length === after.length) return;
+
+  let head = 0;
+  while (head < before.length && head < after.length && before[head] === after[head]) head++;
+  let tail = 0;
+  while (tail < before.length - head && tail < after.length - head &&
+    before[before.length - 1 - tail] === after[after.length - 1 - tail]) tail++;
+
+  const edited = Math.min(before.length, after.length) - tail;
+  const moves = [];
+  for (let i = 0; i < edited; i++) moves.push([i, i]);
+  for (let i = 1; i <= tail; i++) moves.push([before.length - i, after.length - i]);
+
+  const settings = [];
+  for (let [from, to] of moves) {
+    if (paragraphSettings[from]) settings[to] = paragraphSettings[from];
+  }
+  paragraphSettings = settings;
+}
+
+function getParagraphSettings(index) {
+  return { ...createParagraphSettings(), ...paragraphSettings[index] };
+}
+
+// Keep the paragraph picker in step with the story text
+function refreshParagraphList() {
+  const select = document.getElementById('inParagraph');
+  const count = Math.max(getParagraphs().length, 1);
+  const selected = Math.min(parseInt(select.value) || 0, count - 1);
+
+  if (select.options.length !== count) {
+    select.innerHTML = '';
+    for (let i = 0; i < count; i++) {
+      const option = document.createElement('option');
+      option.value = i;
+      option.textContent = `Paragraph ${i + 1}`;
+      select.appendChild(option);
+    }
+  }
+
+  select.value = selected;
+  showParagraphSettings();
+}
+
+function showParagraphSettings() {
+  const settings = getParagraphSettings(parseInt(document.getElementById('inParagraph').value));
+
+  document.getElementById('inShape').value = settings.shape;
+  document.getElementById('inShapeWidths').value = settings.widths;
+  document.getElementById('shapeWidthsField').hidden = settings.shape !== 'custom';
+  document.getElementById('inLastLine').value = settings.lastLine;
+  document.getElementById('inLastLineWithin').value = settings.lastLineWithin;
+  document.getElementById('lastLineWithinVal').innerText = settings.lastLineWithin + '%';
+  document.getElementById('lastLineWithinField').hidden = settings.lastLine !== 'within';
+  document.getElementById('inLooseness').value = settings.looseness;
+}
+
+function updateParagraphSettings() {
+  const index = parseInt(document.getElementById('inParagraph').value);
+
+  paragraphSettings[index] = {
+    ...getParagraphSettings(index),
+    shape: document.getElementById('inShape').value,
+    widths: document.getElementById('inShapeWidths').value,
+    lastLine: document.getElementById('inLastLine').value,
+    lastLineWithin: parseInt(document.getElementById('inLastLineWithin').value),
+    looseness: parseInt(document.getElementById('inLooseness').value) || 0
+  };
+
+  showParagraphSettings();
+  renderTextToCanvas();
+}
+
+document.getElementById('inBody').oninput = () => {
+  reindexParagraphSettings();
+  refreshParagraphList();
+};
+
+document.getElementById('inParagraph').onchange = () => {
+  showParagraphSettings();
+};
+
+document.getElementById('inShape').onchange = updateParagraphSettings;
+document.getElementById('inShapeWidths').oninput = updateParagraphSettings;
+document.getElementById('inLastLine').onchange = updateParagraphSettings;
+document.getElementById('inLastLineWithin').oninput = updateParagraphSettings;
+document.getElementById('inLooseness').oninput = updateParagraphSettings;
+
+refreshParagraphList();
+
+/* --- PROJECT FILES --- */
+let projectPath = null;
+let projectDirty = false;
+
+// Imported fonts are only embedded when writing the project to disk; the
+// undo history tracks which font each section uses by name
+function collectProjectState({ embedFonts = false } = {}) {
+  return {
+    text: {
+      title: document.getElementById('inTitle').value,
+      subtitle: document.getElementById('inSub').value,
+      body: document.getElementById('inBody').value
+    },
+    timing: {
+      speed: scrollSpeed,
+      loop: document.getElementById('inLoop').checked,
+      continuous: document.getElementById('inContinuous').checked
+    },
+    audio: {
+      path: audioPath,
+      volume: parseInt(document.getElementById('inVolume').value)
+    },
+    visual: {
+      tiltAngle, columnWidth, titleSize, subSize, bodySize,
+      titleFont: document.getElementById('inTitleFont').value,
+      subFont: document.getElementById('inSubFont').value,
+      bodyFont: document.getElementById('inBodyFont').value,
+      fonts: embedFonts ? collectProjectFonts() : [],
+      titleAxes: { ...sectionAxes.title },
+      subAxes: { ...sectionAxes.subtitle },
+      bodyAxes: { ...sectionAxes.body },
+      titleTypography: collectSectionTypography('title'),
+      subTypography: collectSectionTypography('subtitle'),
+      bodyTypography: collectSectionTypography('body'),
+      titleStyle: { ...sectionStyles.title },
+      subStyle: { ...sectionStyles.subtitle },
+      bodyStyle: { ...sectionStyles.body },
+      highlightColor: document.getElementById('inHighlight').value,
+      fallbackFonts: [...fallbackFontNames],
+      systemFont: document.getElementById('inSystemFont').value
+    },
+    layout: {
+      justification: document.getElementById('inJustify').value,
+      language: document.getElementById('inLanguage').value,
+      smartTypography: document.getElementById('inSmartTypography').checked,
+      direction: document.getElementById('inDirection').value,
+      headingWidth: parseInt(document.getElementById('inHeadingWidth').value),
+      headingFit: document.getElementById('inHeadingFit').value,
+      widowWords: parseInt(document.getElementById('inWidowWords').value),
+      runtWidth: parseInt(document.getElementById('inRuntWidth').value),
+      protrusion: document.getElementById('inProtrusion').checked,
+      protrusionLeft: document.getElementById('inProtrusionLeft').value,
+      protrusionRight: document.getElementById('inProtrusionRight').value,
+      expansion: parseFloat(document.getElementById('inExpansion').value),
+      paragraphs: paragraphSettings
+    }
+  };
+}
+
+async function applyProjectState(project, { restart = true } = {}) {
+  const { text, timing, audio, visual, layout } = project;
+
+  document.getElementById('inTitle').value = text.title;
+  document.getElementById('inSub').value = text.subtitle;
+  document.getElementById('inBody').value = text.body;
+
+  scrollSpeed = timing.speed;
+  document.getElementById('inSpeed').value = timing.speed;
+  document.getElementById('speedVal').innerText = timing.speed;
+  document.getElementById('inLoop').checked = timing.loop;
+  document.getElementById('inContinuous').checked = timing.continuous;
+
+  // Only touch the music when it actually changes, so undo doesn't restart it
+  if (audio.path !== audioPath) {
+    if (audio.path) {
+      loadAudio(studio.toFileUrl(audio.path), audio.path);
+    } else {
+      clearAudio();
+    }
+  }
+  setVolume(audio.volume);
+
+  ({ tiltAngle, columnWidth, titleSize, subSize, bodySize } = visual);
+  document.getElementById('inTitleSize').value = titleSize;
+  document.getElementById('titleSizeVal').innerText = titleSize + 'px';
+  document.getElementById('inSubSize').value = subSize;
+  document.getElementById('subSizeVal').innerText = subSize + 'px';
+  document.getElementById('inBodySize').value = bodySize;
+  document.getElementById('bodySizeVal').innerText = bodySize + 'px';
+  sectionAxes = { title: { ...visual.titleAxes }, subtitle: { ...visual.subAxes }, body: { ...visual.bodyAxes } };
+  applySectionTypography('title', visual.titleTypography);
+  applySectionTypography('subtitle', visual.subTypography);
+  applySectionTypography('body', visual.bodyTypography);
+  sectionStyles = {
+    title: { ...visual.titleStyle },
+    subtitle: { ...visual.subStyle },
+    body: { ...visual.bodyStyle }
+  };
+  showTextStyle();
+  document.getElementById('inHighlight').value = visual.highlightColor;
+  document.getElementById('inSystemFont').value = visual.systemFont;
+  document.getElementById('inJustify').value = layout.justification;
+  document.getElementById('inLanguage').value = layout.language;
+  document.getElementById('inSmartTypography').checked = layout.smartTypography;
+  document.getElementById('inDirection').value = layout.direction;
+  document.getElementById('inHeadingWidth').value = layout.headingWidth;
+  document.getElementById('headingWidthVal').innerText = layout.headingWidth + 'px';
+  document.getElementById('inHeadingFit').value = layout.headingFit;
+  document.getElementById('inWidowWords').value = layout.widowWords;
+  document.getElementById('widowWordsVal').innerText = layout.widowWords;
+  document.getElementById('inRuntWidth').value = layout.runtWidth;
+  document.getElementById('runtWidthVal').innerText = layout.runtWidth + '%';
+  document.getElementById('inProtrusion').checked = layout.protrusion;
+  document.getElementById('protrusionFields').hidden = !layout.protrusion;
+  document.getElementById('inProtrusionLeft').value = layout.protrusionLeft;
+  document.getElementById('inProtrusionRight').value = layout.protrusionRight;
+  document.getElementById('inExpansion').value = layout.expansion;
+  document.getElementById('expansionVal').innerText = '±' + layout.expansion + '%';
+  paragraphSettings = [...layout.paragraphs];
+  paragraphTexts = getParagraphs();
+  refreshParagraphList();
+
+  // The first render already uses the project's fonts
+  try {
+    await restoreProjectFonts(visual);
+  } catch (error) {
+    console.error('Error restoring project fonts:', error);
+    studio.showError('Could not load project fonts', error.message);
+  }
+
+  renderTextToCanvas();
+  if (restart) currentZ = startZ;
+  updatePlaneTransform();
+}
+
+function setProjectPath(filePath) {
+  projectPath = filePath;
+  projectDirty = false;
+  updateWindowTitle();
+
+  // The project on disk is now the source of truth
+  lastAutosave = null;
+  studio.clearAutosave();
+  commandHistory.reset(collectProjectState());
+}
+
+function markProjectDirty() {
+  if (projectDirty) return;
+  projectDirty = true;
+  updateWindowTitle();
+}
+
+function updateWindowTitle() {
+  const name = projectPath ? projectPath.split(/[\\/]/).pop() : 'Untitled';
+  document.title = `${projectDirty ? '* ' : ''}${name} - Star Wars Crawl Studio`;
+}
+
+async function newProject() {
+  if (projectDirty && !(await studio.confirmDiscard())) return;
+
+  await applyProjectState(createDefaultProject());
+  setProjectPath(null);
+}
+
+async function openProject() {
+  if (projectDirty && !(await studio.confirmDiscard())) return;
+
+  try {
+    const result = await studio.openProject();
+    if (!result) return;
+
+    await applyProjectState(parseProject(result.contents));
+    setProjectPath(result.filePath);
+  } catch (error) {
+    console.error('Error opening project:', error);
+    studio.showError('Could not open project', error.message);
+  }
+}
+
+async function saveProject(saveAs) {
+  try {
+    const savedPath = await studio.saveProject(projectPath, saveAs, serializeProject(collectProjectState({ embedFonts: true })));
+    if (savedPath) setProjectPath(savedPath);
+  } catch (error) {
+    console.error('Error saving project:', error);
+    studio.showError('Could not save project', error.message);
+  }
+}
+
+const menuCommands = {
+  'new': newProject,
+  'open': openProject,
+  'save': () => saveProject(false),
+  'save-as': () => saveProject(true),
+  'undo': undo,
+  'redo': redo
+};
+
+studio.onMenuCommand((command) => {
+  if (menuCommands[command]) menuCommands[command]();
+});
+
+updateWindowTitle();
+
+/* --- AUTOSAVE / CRASH RECOVERY --- */
+const AUTOSAVE_INTERVAL = 15000;
+let lastAutosave = null;
+
+function autosave() {
+  if (!projectDirty) return;
+
+  // Compared without the font files (fonts are named by the sections that
+  // use them); their cached base64 data is only added when writing
+  const state = collectProjectState();
+  const snapshot = JSON.stringify(state);
+  if (snapshot === lastAutosave) return;
+
+  lastAutosave = snapshot;
+  state.visual.fonts = collectProjectFonts();
+  studio.writeAutosave(projectPath, serializeProject(state));
+}
+
+async function checkForRecovery() {
+  try {
+    const record = await studio.checkRecovery();
+    if (!record) return;
+
+    await applyProjectState(parseProject(record.contents));
+    projectPath = record.projectPath;
+    commandHistory.reset(collectProjectState());
+    markProjectDirty(); // Restored work is still unsaved
+  } catch (error) {
+    console.error('Error restoring autosave:', error);
+    studio.showError('Could not restore session', error.message);
+  }
+}
+
+setInterval(autosave, AUTOSAVE_INTERVAL);
+window.addEventListener('beforeunload', autosave);
+
+/* --- UNDO / REDO --- */
+const commandHistory = new CommandHistory();
+
+function recordCommand(e) {
+  // One command kind per control, so typing or dragging merges into one step
+  if (commandHistory.record(e.target.id || e.type, collectProjectState())) {
+    markProjectDirty();
+  }
+}
+
+async function undo() {
+  const state = commandHistory.undo();
+  if (!state) return;
+  await applyProjectState(state, { restart: false });
+  markProjectDirty();
+}
+
+async function redo() {
+  const state = commandHistory.redo();
+  if (!state) return;
+  await applyProjectState(state, { restart: false });
+  markProjectDirty();
+}
+
+// Every edit in the control panel goes through the history and marks the project dirty
+document.getElementById('ui-layer').addEventListener('input', recordCommand);
+document.getElementById('ui-layer').addEventListener('change', recordCommand);
+
+// Handled here rather than by menu accelerators so the textarea's native undo never runs
+window.addEventListener('keydown', (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  const key = e.key.toLowerCase();
+
+  if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    undo();
+  } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+    e.preventDefault();
+    redo();
+  }
+});
+
+commandHistory.reset(collectProjectState());
+
 /* --- RECORDING LOGIC --- */
 document.getElementById('btnRecord').onclick = async () => {
   const btn = document.getElementById('btnRecord');
@@ -0,0 +1,195 @@
+/**
+ * Inline Crawl Markup
+ *   **bold**   *italic*   ==highlight==   {non-breaking span}
+ * A backslash escapes the next character. Markers without a closing
+ * partner are kept as plain text.
+ */
+
+import { findBreakOpportunities, isNoBreakSpace } from './line-break.js';
+import { resolveLevels } from './bidi.js';
+
+const PLAIN_STYLE = Object.freeze({ bold: false, italic: false, highlight: false, noBreak: false });
+
+// Longest markers first so '**' is not read as two '*'
+const TOGGLE_MARKERS = [
+  { marker: '**', style: 'bold' },
+  { marker: '==', style: 'highlight' },
+  { marker: '*', style: 'italic' }
+];
+
+/**
+ * Parse a paragraph into styled runs: [{ text, style }]
+ */
+export function parseInlineMarkup(text) {
+  const runs = [];
+  const style = { ...PLAIN_STYLE };
+  let buffer = '';
+  let i = 0;
+
+  const flush = () => {
+    if (buffer) runs.push({ text: buffer, style: Object.freeze({ ...style }) });
+    buffer = '';
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '\\' && i + 1 < text.length) {
+      buffer += text[i + 1];
+      i += 2;
+      continue;
+    }
+
+    const toggle = TOGGLE_MARKERS.find(({ marker }) => text.startsWith(marker, i));
+    if (toggle) {
+      const { marker, style: key } = toggle;
+      if (style[key] || findMarker(text, marker, i + marker.length) !== -1) {
+        flush();
+        style[key] = !style[key];
+        i += marker.length;
+        continue;
+      }
+    }
+
+    if (char === '{' && !style.noBreak && findMarker(text, '}', i + 1) !== -1) {
+      flush();
+      style.noBreak = true;
+      i++;
+      continue;
+    }
+
+    if (char === '}' && style.noBreak) {
+      flush();
+      style.noBreak = false;
+      i++;
+      continue;
+    }
+
+    buffer += char;
+    i++;
+  }
+
+  flush();
+  return runs;
+}
+
+/**
+ * Index of the next marker from index on that is not escaped, -1 if there is none
+ */
+function findMarker(text, marker, index) {
+  for (let i = index; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text.startsWith(marker, i)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Split styled runs into words at the line break opportunities of UAX #14
+ * (see line-break.js). Each word is a list of styled segments (a word can
+ * change style midway, e.g. "**DEATH STAR**,"), the space that follows it
+ * ('' when the break needs no space, as between ideographs or after a dash)
+ * and noBreakAfter for no-break spaces and spaces inside a {non-breaking span}.
+ */
+export function splitWords(runs) {
+  let text = '';
+  const styles = [];
+  for (let run of runs) {
+    text += run.text;
+    for (let i = 0; i < run.text.length; i++) styles.push(run.style);
+  }
+
+  const breaks = new Set(findBreakOpportunities(text));
+  const words = [];
+  let current = null;
+
+  for (let i = 0; i < text.length;) {
+    const char = String.fromCodePoint(text.codePointAt(i));
+    const style = styles[i];
+
+    if (/\s/u.test(char)) {
+      const noBreak = isNoBreakSpace(char) || style.noBreak;
+      const previous = current || words[words.length - 1];
+
+      if (current) {
+        current.space = noBreak ? char : ' ';
+        current.noBreakAfter = noBreak;
+        words.push(current);
+        current = null;
+      } else if (previous && noBreak) {
+        // A no-break space anywhere in a run of spaces holds the words together
+        previous.space = char;
+        previous.noBreakAfter = true;
+      }
+    } else {
+      // Break opportunity without a space, unless inside a {non-breaking span}
+      if (current && breaks.has(i) && !(style.noBreak && styles[i - 1].noBreak)) {
+        words.push(current);
+        current = null;
+      }
+
+      if (!current) {
+        // Some breaks are not allowed even after a space (before "!" or a closing bracket)
+        const previous = words[words.length - 1];
+        if (previous && previous.space && !breaks.has(i)) {
+          previous.noBreakAfter = true;
+        }
+        current = { segments: [], text: '', space: '', noBreakAfter: false };
+      }
+
+      const last = current.segments[current.segments.length - 1];
+      if (last && last.style === style) {
+        last.text += char;
+      } else {
+        current.segments.push({ text: char, style });
+      }
+      current.text += char;
+    }
+
+    i += char.length;
+  }
+
+  if (current) words.push(current);
+  return words;
+}
+
+/**
+ * Words of a paragraph with its inline markup applied
+ */
+export function parseParagraph(text) {
+  return splitWords(parseInlineMarkup(text.trim()));
+}
+
+/**
+ * Resolve the bidi embedding levels of a paragraph's words (see bidi.js):
+ * segments are split where the level changes and get a level of their own,
+ * and every word records the level of the space after it (spaceLevel)
+ */
+export function applyBidiLevels(words, paragraphLevel) {
+  const levels = resolveLevels(words.map(word => word.text + word.space).join(''), paragraphLevel);
+  let offset = 0;
+
+  for (let word of words) {
+    const segments = [];
+
+    for (let segment of word.segments) {
+      let start = 0;
+      for (let i = 1; i <= segment.text.length; i++) {
+        if (i === segment.text.length || levels[offset + i] !== levels[offset + start]) {
+          segments.push({ text: segment.text.slice(start, i), style: segment.style, level: levels[offset + start] });
+          start = i;
+        }
+      }
+      offset += segment.text.length;
+    }
+
+    word.segments = segments;
+    word.spaceLevel = word.space ? levels[offset] : paragraphLevel;
+    offset += word.space.length;
+  }
+
+  return words;
+}
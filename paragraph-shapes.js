@@ -0,0 +1,91 @@
+/**
+ * Paragraph Shapes
+ * Width and left offset of each line of a body paragraph within the column.
+ * The last line of a shape repeats for the rest of the paragraph; the
+ * pyramid is laid out for a known line count, so it tapers to the
+ * paragraph's last line.
+ */
+
+// First-line and hanging indents, in ems of the body size
+const INDENT_EMS = 2;
+
+// Inverted pyramid: each of the closing lines is this much narrower than the
+// one above, down to the minimum on the last line
+const PYRAMID_STEP = 0.12;
+const PYRAMID_MIN = 0.35;
+
+/**
+ * Lines [{ width, offset }] for a paragraph's shape settings
+ * (shape: rectangle, indent, hanging, pyramid or custom) and line count
+ * (only the pyramid depends on it, see dependsOnLineCount)
+ */
+export function getParagraphShape(settings, columnWidth, fontSize, lineCount = 1) {
+  const indent = Math.min(fontSize * INDENT_EMS, columnWidth / 2);
+
+  switch (settings.shape) {
+    case 'indent':
+      return [
+        { width: columnWidth - indent, offset: indent },
+        { width: columnWidth, offset: 0 }
+      ];
+    case 'hanging':
+      return [
+        { width: columnWidth, offset: 0 },
+        { width: columnWidth - indent, offset: indent }
+      ];
+    case 'pyramid': {
+      // Widths counted back from the last line; lines above the taper are full
+      const lines = [];
+      for (let i = Math.max(lineCount, 1) - 1; i >= 0; i--) {
+        lines.push(centeredLine(columnWidth, Math.min(PYRAMID_MIN + i * PYRAMID_STEP, 1)));
+      }
+      return lines;
+    }
+    case 'custom': {
+      const fractions = parseWidthList(settings.widths);
+      if (fractions.length > 0) {
+        return fractions.map(fraction => centeredLine(columnWidth, fraction));
+      }
+      break;
+    }
+  }
+
+  return [{ width: columnWidth, offset: 0 }];
+}
+
+/**
+ * Whether the shape has to be laid out again once the paragraph's line count is known
+ */
+export function dependsOnLineCount(settings) {
+  return settings.shape === 'pyramid';
+}
+
+/**
+ * The shape line used by line `index` (0-based)
+ */
+export function getShapeLine(shape, index) {
+  return shape[Math.min(index, shape.length - 1)];
+}
+
+/**
+ * The same shape for a right-to-left paragraph: indents move to the right edge
+ */
+export function mirrorShape(shape, columnWidth) {
+  return shape.map(({ width, offset }) => ({ width, offset: columnWidth - offset - width }));
+}
+
+/**
+ * "100, 80, 60" -> [1, 0.8, 0.6]: percentages of the column width, clamped to 10-100%
+ */
+function parseWidthList(text) {
+  return String(text || '')
+    .split(/[\s,;]+/)
+    .map(parseFloat)
+    .filter(value => Number.isFinite(value))
+    .map(value => Math.min(Math.max(value, 10), 100) / 100);
+}
+
+function centeredLine(columnWidth, fraction) {
+  const width = columnWidth * fraction;
+  return { width, offset: (columnWidth - width) / 2 };
+}
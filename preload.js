@@ -0,0 +1,23 @@
+const { contextBridge, ipcRenderer, webUtils } = require('electron');
+const { pathToFileURL } = require('url');
+
+// Bridge between the crawl editor and the main process (dialogs, file access)
+contextBridge.exposeInMainWorld('crawlStudio', {
+  onMenuCommand: (callback) => {
+    ipcRenderer.on('menu-command', (event, command) => callback(command));
+  },
+
+  openProject: () => ipcRenderer.invoke('project:open'),
+  saveProject: (filePath, saveAs, contents) => ipcRenderer.invoke('project:save', { filePath, saveAs, contents }),
+  confirmDiscard: () => ipcRenderer.invoke('project:confirm-discard'),
+  showError: (title, message) => ipcRenderer.invoke('dialog:error', { title, message }),
+  decompressBrotli: (bytes, expectedLength) => ipcRenderer.invoke('font:decompress-brotli', bytes, expectedLength),
+
+  writeAutosave: (projectPath, contents) => ipcRenderer.send('autosave:write', { projectPath, contents }),
+  clearAutosave: () => ipcRenderer.send('autosave:clear'),
+  checkRecovery: () => ipcRenderer.invoke('autosave:check'),
+
+  // Files picked through <input type="file"> only expose their path through webUtils
+  getPathForFile: (file) => webUtils.getPathForFile(file),
+  toFileUrl: (filePath) => pathToFileURL(filePath).href
+});
@@ -0,0 +1,172 @@
+/**
+ * Crawl Project Files (.crawl)
+ * Versioned JSON snapshot of everything needed to rebuild a crawl
+ */
+
+import { DEFAULT_LEFT_PROTRUSION, DEFAULT_RIGHT_PROTRUSION } from './protrusion.js';
+import { DEFAULT_TEXT_STYLE } from './text-style.js';
+
+export const PROJECT_FORMAT = 'crawl-studio-project';
+export const PROJECT_VERSION = 1;
+
+export function createDefaultProject() {
+  return {
+    text: {
+      title: '',
+      subtitle: '',
+      body: ''
+    },
+    timing: {
+      speed: 2,
+      loop: true,
+      continuous: false
+    },
+    audio: {
+      path: null,
+      volume: 100
+    },
+    visual: {
+      tiltAngle: -80.0,
+      columnWidth: 1024,
+      titleSize: 140,
+      subSize: 145,
+      bodySize: 110,
+      // Imported font of each section by file name ('' for the crawl font),
+      // and the files themselves as [{ name, data (base64) }]
+      titleFont: '',
+      subFont: '',
+      bodyFont: '',
+      fonts: [],
+      // Variable font axis values of each section, by axis tag ({ wght: 700 })
+      titleAxes: {},
+      subAxes: {},
+      bodyAxes: {},
+      // Letter spacing (1/1000 em), word spacing (% of a space) and case
+      // ('none', 'uppercase' or 'small-caps') of each section
+      titleTypography: { tracking: 0, wordSpacing: 100, textTransform: 'none' },
+      subTypography: { tracking: 0, wordSpacing: 100, textTransform: 'none' },
+      bodyTypography: { tracking: 0, wordSpacing: 100, textTransform: 'none' },
+      // Fill, outline and shadow of each section (see text-style.js)
+      titleStyle: { ...DEFAULT_TEXT_STYLE },
+      subStyle: { ...DEFAULT_TEXT_STYLE },
+      bodyStyle: { ...DEFAULT_TEXT_STYLE },
+      highlightColor: '#ffffff',
+      // Imported fonts (names from fonts) tried in order for characters the
+      // section fonts lack, then the CSS font family the canvas draws anything left with
+      fallbackFonts: [],
+      systemFont: 'sans-serif'
+    },
+    layout: {
+      justification: 'optimal',
+      language: 'en',
+      // Curly quotes, dashes, ellipses and no-break spaces applied before layout
+      smartTypography: false,
+      // Paragraph direction: 'auto' (first strong character), 'ltr' or 'rtl'
+      direction: 'auto',
+      // Widest line of the title and subtitle in pixels, and whether longer
+      // lines wrap into balanced lines ('wrap') or shrink ('shrink')
+      headingWidth: 1800,
+      headingFit: 'wrap',
+      // Widow/runt control for the last line of every paragraph
+      widowWords: 2,
+      runtWidth: 15,
+      // Optical margin alignment, "char:percent" lists per margin
+      protrusion: false,
+      protrusionLeft: DEFAULT_LEFT_PROTRUSION,
+      protrusionRight: DEFAULT_RIGHT_PROTRUSION,
+      // Font expansion limit in percent (0 = off)
+      expansion: 0,
+      // Sparse list of per-paragraph settings, see createParagraphSettings
+      paragraphs: []
+    }
+  };
+}
+
+/**
+ * Layout options of a single body paragraph
+ */
+export function createParagraphSettings() {
+  return {
+    // rectangle, indent, hanging, pyramid or custom (see paragraph-shapes.js)
+    shape: 'rectangle',
+    // Custom shape: line widths in percent of the column, e.g. "100, 80, 60"
+    widths: '',
+    // Last line: left, center, justify, or within (justify if short by at most lastLineWithin %)
+    lastLine: 'left',
+    lastLineWithin: 10,
+    // Lines more (or fewer, if negative) than the optimal breaking gives
+    looseness: 0
+  };
+}
+
+export function serializeProject(state) {
+  return JSON.stringify({
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    ...state
+  }, null, 2);
+}
+
+export function parseProject(contents) {
+  let data;
+  try {
+    data = JSON.parse(contents);
+  } catch (error) {
+    throw new Error('The file is not a valid crawl project (malformed JSON).');
+  }
+
+  if (!data || data.format !== PROJECT_FORMAT) {
+    throw new Error('The file is not a Crawl Studio project.');
+  }
+
+  if (typeof data.version !== 'number' || data.version > PROJECT_VERSION) {
+    throw new Error(`This project was saved by a newer version of Crawl Studio (format v${data.version}).`);
+  }
+
+  return mergeWithDefaults(migrateProject(data));
+}
+
+/**
+ * Upgrade older project layouts step by step to PROJECT_VERSION
+ */
+function migrateProject(data) {
+  // v1 is the first released format, nothing to upgrade yet
+  return data;
+}
+
+/**
+ * Fill in what a project file leaves out from the defaults, including the
+ * keys of nested settings (a section style saved before it had a shadow).
+ * A value of another type than its default (null fonts, a number for a
+ * list) is dropped for the default.
+ */
+function mergeWithDefaults(data) {
+  return mergeObject(createDefaultProject(), data);
+}
+
+function mergeObject(defaults, data) {
+  const merged = { ...defaults };
+  if (!isPlainObject(data)) return merged;
+
+  for (const [key, value] of Object.entries(data)) {
+    const fallback = defaults[key];
+    if (isPlainObject(fallback)) {
+      merged[key] = mergeObject(fallback, value);
+    } else if (fallback === undefined || fallback === null || getValueType(value) === getValueType(fallback)) {
+      merged[key] = value;
+    }
+  }
+
+  return merged;
+}
+
+function isPlainObject(value) {
+  return getValueType(value) === 'object';
+}
+
+// typeof, telling arrays and null apart from objects
+function getValueType(value) {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
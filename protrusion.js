@@ -0,0 +1,29 @@
+/**
+ * Optical Margin Alignment
+ * How far a character at the start or end of a justified line may hang into
+ * the margin, as a percentage of its own advance width (pdfTeX's lpcode/rpcode)
+ */
+
+export const DEFAULT_LEFT_PROTRUSION = '“:50 ‘:50 ":50 \':50 «:50 (:20 -:50';
+export const DEFAULT_RIGHT_PROTRUSION = '.:70 ,:70 -:70 –:50 —:25 ”:50 ’:50 ":50 \':50 ;:50 ::50 !:20 ?:20 »:50 ):20';
+
+/**
+ * Parse "char:percent" entries separated by spaces, e.g. ".:70 ,:70 ”:50",
+ * into a Map of character -> fraction of its width. Malformed entries are skipped.
+ */
+export function parseProtrusionTable(text) {
+  const table = new Map();
+
+  for (const entry of String(text || '').split(/\s+/)) {
+    const separator = entry.lastIndexOf(':');
+    if (separator <= 0) continue;
+
+    const char = entry.slice(0, separator);
+    const percent = parseFloat(entry.slice(separator + 1));
+    if ([...char].length !== 1 || !Number.isFinite(percent)) continue;
+
+    table.set(char, Math.min(Math.max(percent, 0), 100) / 100);
+  }
+
+  return table;
+}
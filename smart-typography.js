@@ -0,0 +1,197 @@
+/**
+ * Smart Typography
+ * Turns typewriter punctuation into typographic punctuation before layout:
+ * curly quotes in the style of the crawl language, en and em dashes, the
+ * ellipsis, and no-break spaces after initials and before units (and
+ * before French high punctuation). Inline markup is left as it is, and a
+ * backslash keeps the next character as typed.
+ */
+
+const NBSP = '\u00A0';
+const NARROW_NBSP = '\u202F';
+const APOSTROPHE = '’';
+
+// Quotation marks per language; French guillemets take a narrow no-break space inside
+const LANGUAGE_MARKS = {
+  en: { doubleOpen: '“', doubleClose: '”', singleOpen: '‘', singleClose: '’', dash: '—' },
+  de: { doubleOpen: '„', doubleClose: '“', singleOpen: '‚', singleClose: '‘', dash: '–' },
+  fr: { doubleOpen: '«' + NARROW_NBSP, doubleClose: NARROW_NBSP + '»', singleOpen: '‹' + NARROW_NBSP,
+    singleClose: NARROW_NBSP + '›', dash: '–', spaced: true },
+  es: { doubleOpen: '«', doubleClose: '»', singleOpen: '“', singleClose: '”', dash: '—' }
+};
+
+// A quote after these opens, one before these closes (when the other side agrees)
+const OPENING_CONTEXT = /[\s([{‒-―\-/*=«‹“‘„‚"']/u;
+const CLOSING_CONTEXT = /[\s.,;:!?)\]}…*=]/u;
+
+// Unit symbols a number keeps on its line. Single letters that are also
+// words ("Episode 4 A New Hope") only count with a prefix (kg, ms, kV).
+const UNIT = /^(?:%|‰|°[CF]?|[kMG]?Hz|[kMGT]?W|[mkM][gmsVAJL]|cm|min|km\/h|mph|ml|AU|ly|pc)(?![\p{L}\p{N}])/u;
+
+/**
+ * Apply the typography pass to text in a language ('en', 'de', 'fr' or 'es').
+ * Returns the new text and its changes: [{ index, from, to }], index being
+ * where `from` starts in the original text.
+ */
+export function applySmartTypography(text, language = 'en') {
+  const marks = LANGUAGE_MARKS[language] || LANGUAGE_MARKS.en;
+  const changes = [];
+  let result = '';
+  let doubleOpen = false;
+  let singleOpen = false;
+  let i = 0;
+
+  const replace = (length, to) => {
+    const from = text.slice(i, i + length);
+    if (from !== to) changes.push({ index: i, from, to });
+    result += to;
+    i += length;
+  };
+
+  // French closing marks absorb the plain space typed before them
+  const replaceClosing = (to) => {
+    const spaces = marks.spaced ? result.match(/[ \t]+$/) : null;
+    if (spaces) {
+      result = result.slice(0, -spaces[0].length);
+      i -= spaces[0].length;
+      replace(spaces[0].length + 1, to);
+    } else {
+      replace(1, to);
+    }
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+    const prev = text[i - 1] || '';
+    const next = text[i + 1] || '';
+
+    if (char === '\\' && i + 1 < text.length) {
+      result += text.slice(i, i + 2);
+      i += 2;
+    } else if (char === '\n') {
+      // Quotes never stay open across lines
+      doubleOpen = singleOpen = false;
+      result += char;
+      i++;
+    } else if (text.startsWith('---', i)) {
+      replace(3, '—');
+    } else if (text.startsWith('--', i)) {
+      replace(2, /\d/.test(prev) && /\d/.test(text[i + 2] || '') ? '–' : marks.dash);
+    } else if (char === '-' && /[ \t]/.test(prev) && /[ \t]/.test(next)) {
+      replace(1, marks.dash);
+    } else if (text.startsWith('...', i)) {
+      replace(3, '…');
+    } else if (char === '"') {
+      if (isOpeningQuote(text, i, doubleOpen)) {
+        replace(1 + getSpacedLength(text, i + 1, marks), marks.doubleOpen);
+        doubleOpen = true;
+      } else {
+        replaceClosing(marks.doubleClose);
+        doubleOpen = false;
+      }
+    } else if (char === '\'') {
+      if (/[\p{L}\p{N}]/u.test(prev) && /\p{L}/u.test(next)) {
+        replace(1, APOSTROPHE);
+      } else if (!/\d/.test(next) && isOpeningQuote(text, i, singleOpen)) {
+        replace(1 + getSpacedLength(text, i + 1, marks), marks.singleOpen);
+        singleOpen = true;
+      } else if (singleOpen) {
+        replaceClosing(marks.singleClose);
+        singleOpen = false;
+      } else {
+        replace(1, APOSTROPHE);
+      }
+    } else if (char === ' ' || char === '\t') {
+      const length = text.slice(i).match(/^[ \t]+/)[0].length;
+      replace(length, getSpace(text, i, i + length, marks) || text.slice(i, i + length));
+    } else {
+      result += char;
+      i++;
+    }
+  }
+
+  return { text: result, changes };
+}
+
+/**
+ * Whether a straight quote at index opens a quotation: from the characters
+ * around it, or from whether one is open when they leave it undecided
+ */
+function isOpeningQuote(text, index, open) {
+  const prev = text[index - 1] || '';
+  const next = text[index + 1] || '';
+  const afterBoundary = !prev || OPENING_CONTEXT.test(prev);
+  const beforeBoundary = !next || CLOSING_CONTEXT.test(next);
+  return afterBoundary !== beforeBoundary ? afterBoundary : !open;
+}
+
+// Plain spaces after an opening quote that become part of French spacing
+function getSpacedLength(text, index, marks) {
+  return marks.spaced ? text.slice(index).match(/^[ \t]*/)[0].length : 0;
+}
+
+/**
+ * The no-break space a run of spaces from start to end becomes, or null to keep it
+ */
+function getSpace(text, start, end, marks) {
+  const before = text.slice(Math.max(start - 3, 0), start);
+  const after = text.slice(end);
+
+  if (marks.spaced && (/^[;:!?»›]/.test(after) || /[«‹]$/.test(before))) {
+    return NARROW_NBSP;
+  }
+  // Initials: "J. R. R. Tolkien"
+  if (/(?:^|[\s("“‘„‚«])\p{Lu}\.$/u.test(before) && /^\p{Lu}/u.test(after)) {
+    return NBSP;
+  }
+  if (/\d$/.test(before) && UNIT.test(after)) {
+    return NBSP;
+  }
+  return null;
+}
+
+/**
+ * Group the changes of a text into snippets for a preview: [{ before, after }]
+ * with a few characters of context on each side (no-break spaces shown as ⍽)
+ */
+export function getChangeSnippets(text, changes, context = 12) {
+  const snippets = [];
+  let group = [];
+
+  const flush = () => {
+    if (group.length === 0) return;
+    const first = group[0];
+    const last = group[group.length - 1];
+    const start = Math.max(first.index - context, text.lastIndexOf('\n', first.index - 1) + 1);
+    const lineEnd = text.indexOf('\n', last.index + last.from.length);
+    const end = Math.min(last.index + last.from.length + context, lineEnd === -1 ? text.length : lineEnd);
+
+    let after = '';
+    let offset = start;
+    for (let change of group) {
+      after += text.slice(offset, change.index) + change.to;
+      offset = change.index + change.from.length;
+    }
+    after += text.slice(offset, end);
+
+    snippets.push({ before: showSpaces(text.slice(start, end)), after: showSpaces(after) });
+    group = [];
+  };
+
+  for (let change of changes) {
+    const previous = group[group.length - 1];
+    // Nearby changes share a snippet, up to a few words long
+    if (previous && (change.index - previous.index - previous.from.length > context * 2 ||
+      change.index - group[0].index > context * 4 || text.slice(previous.index, change.index).includes('\n'))) {
+      flush();
+    }
+    group.push(change);
+  }
+  flush();
+
+  return snippets;
+}
+
+function showSpaces(text) {
+  return text.replace(/[\u00A0\u202F]/gu, '⍽');
+}
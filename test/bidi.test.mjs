@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getBidiClass, getParagraphLevel, resolveLevels, reorderRuns, mirrorText } from '../bidi.js';
+
+// Levels of a text as a string of digits, one per character
+const levelsOf = (text, paragraphLevel) => resolveLevels(text, paragraphLevel).join('');
+
+// The text of runs after reordering them
+const reorder = (...runs) => reorderRuns(runs.map(([text, level]) => ({ text, level }))).map(run => run.text);
+
+test('classifies characters', () => {
+  assert.equal(getBidiClass('a'), 'L');
+  assert.equal(getBidiClass('ש'), 'R');
+  assert.equal(getBidiClass('س'), 'AL');
+  assert.equal(getBidiClass('5'), 'EN');
+  assert.equal(getBidiClass('٥'), 'AN');
+  assert.equal(getBidiClass('%'), 'ET');
+  assert.equal(getBidiClass(','), 'CS');
+  assert.equal(getBidiClass(' '), 'WS');
+  assert.equal(getBidiClass('!'), 'ON');
+  assert.equal(getBidiClass('\u05B4'), 'NSM');
+  assert.equal(getBidiClass('\u200B'), 'BN');
+});
+
+test('takes the paragraph direction from its first strong character', () => {
+  assert.equal(getParagraphLevel('Episode IV'), 0);
+  assert.equal(getParagraphLevel('123 שלום world'), 1);
+  assert.equal(getParagraphLevel('«سلام» hello'), 1);
+  assert.equal(getParagraphLevel('42 !'), 0);
+  assert.equal(getParagraphLevel(''), 0);
+});
+
+test('raises right-to-left words in a left-to-right paragraph', () => {
+  assert.equal(levelsOf('Say שלום עולם now', 0), '00001111111110000');
+  // Neutrals between different directions take the paragraph direction
+  assert.equal(levelsOf('ab שג!', 0), '000110');
+});
+
+test('raises left-to-right words and numbers in a right-to-left paragraph', () => {
+  assert.equal(levelsOf('שלום Luke שלום', 1), '11111222211111');
+  assert.equal(levelsOf('שנת 1977', 1), '11112222');
+  // Numbers keep their separators and terminators
+  assert.equal(levelsOf('ש 1,000 50% ש', 1), '1122222122211');
+});
+
+test('treats European numbers after Arabic letters as Arabic numbers', () => {
+  assert.equal(levelsOf('ab سنة 12', 0), '000111122');
+  assert.equal(levelsOf('ab 12', 0), '00000');
+});
+
+test('puts trailing whitespace and boundary neutrals at the paragraph level', () => {
+  assert.equal(levelsOf('ab שג  ', 0), '0001100');
+  assert.equal(levelsOf('ש\u200Bג', 1), '111');
+  assert.deepEqual(resolveLevels('a😀', 0), [0, 0, 0]);
+});
+
+test('reverses runs from the highest level down to the lowest odd one', () => {
+  assert.deepEqual(reorder(['Say ', 0], ['שלום ', 1], ['עולם', 1], [' now', 0]), ['Say ', 'עולם', 'שלום ', ' now']);
+  assert.deepEqual(reorder(['שנת ', 1], ['1977', 2], [' ו', 1], ['AB', 2]), ['AB', ' ו', '1977', 'שנת ']);
+  assert.deepEqual(reorder(['Say ', 0], ['שנת ', 1], ['1977', 2], [' ok', 0]), ['Say ', '1977', 'שנת ', ' ok']);
+  assert.deepEqual(reorder(['a', 0], ['b', 0]), ['a', 'b']);
+  assert.deepEqual(reorderRuns([]), []);
+});
+
+test('does not change the runs it is given', () => {
+  const runs = [{ text: 'a', level: 1 }, { text: 'b', level: 1 }];
+  const ordered = reorderRuns(runs);
+
+  assert.deepEqual(ordered.map(run => run.text), ['b', 'a']);
+  assert.deepEqual(runs.map(run => run.text), ['a', 'b']);
+  assert.equal(ordered[0], runs[1]);
+});
+
+test('mirrors brackets and guillemets', () => {
+  assert.equal(mirrorText('(a) [b] {c} <d> «e» ‹f›'), ')a( ]b[ }c{ >d< »e« ›f‹');
+  assert.equal(mirrorText('no brackets'), 'no brackets');
+});
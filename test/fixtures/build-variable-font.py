@@ -0,0 +1,133 @@
+"""
+Builds the variable font fixtures with fontTools (pip install fontTools brotli):
+
+  variable.ttf          wght 100-900 (default 100, avar maps 400 to 300) and
+                        wdth 75-125 (default 100); glyphs A (quadratic
+                        curves), period, space and B (a composite of A and period)
+  variable.woff2        the same font with the glyf/loca transform
+  variable-hmtx.woff2   also with the hmtx transform
+  variable-null.woff2   without table transforms
+  instance-*.ttf        static instances made by the fontTools instancer, the
+                        reference for font-variations.js
+
+Run it from this folder.
+"""
+
+import os
+import tempfile
+
+from fontTools import varLib
+from fontTools.designspaceLib import AxisDescriptor, DesignSpaceDocument, SourceDescriptor
+from fontTools.fontBuilder import FontBuilder
+from fontTools.pens.ttGlyphPen import TTGlyphPen
+from fontTools.ttLib import TTFont, woff2
+from fontTools.ttLib.tables._g_l_y_f import Glyph, GlyphComponent
+from fontTools.varLib import instancer
+
+INSTANCES = [dict(wght=600, wdth=90), dict(wght=400, wdth=80), dict(wght=900, wdth=75)]
+
+
+def rect(pen, x0, y0, x1, y1):
+    pen.moveTo((x0, y0))
+    pen.lineTo((x0, y1))
+    pen.lineTo((x1, y1))
+    pen.lineTo((x1, y0))
+    pen.closePath()
+
+
+def build_master(weight, width, path):
+    fb = FontBuilder(1000, isTTF=True)
+    fb.setupGlyphOrder(['.notdef', 'A', 'period', 'space', 'B'])
+    fb.setupCharacterMap({0x41: 'A', 0x2E: 'period', 0x20: 'space', 0x42: 'B'})
+
+    # A: stem and curved bowl with a counter, so deltas are interpolated for off-curve points
+    pen = TTGlyphPen(None)
+    rect(pen, 50, 0, 50 + weight, 700)
+    pen.moveTo((50 + weight, 700))
+    pen.qCurveTo((300 + width, 700), (300 + width, 500), (300 + width, 350))
+    pen.qCurveTo((300 + width, 0), (50 + weight, 0))
+    pen.closePath()
+    inner = 200 + width - weight / 3
+    pen.moveTo((70 + weight, 100))
+    pen.lineTo((70 + weight, 600))
+    pen.qCurveTo((inner, 600), (inner, 350))
+    pen.qCurveTo((inner, 100), (70 + weight, 100))
+    pen.closePath()
+    glyphs = {'A': pen.glyph()}
+    advances = {'A': 400 + width}
+
+    pen = TTGlyphPen(None)
+    rect(pen, 40, 0, 40 + weight, 120)
+    glyphs['period'] = pen.glyph()
+    advances['period'] = 80 + weight
+
+    glyphs['space'] = TTGlyphPen(None).glyph()
+    advances['space'] = 200 + width // 4
+
+    pen = TTGlyphPen(None)
+    rect(pen, 0, 0, 10, 10)
+    glyphs['.notdef'] = pen.glyph()
+    advances['.notdef'] = 500
+
+    # B: A plus a period whose offset varies with the width
+    letter = GlyphComponent()
+    letter.glyphName, letter.x, letter.y, letter.flags = 'A', 0, 0, 0x4
+    dot = GlyphComponent()
+    dot.glyphName, dot.x, dot.y, dot.flags = 'period', 400 + width, 300, 0
+    composite = Glyph()
+    composite.numberOfContours = -1
+    composite.components = [letter, dot]
+    glyphs['B'] = composite
+    advances['B'] = 580 + width + weight
+
+    fb.setupGlyf(glyphs)
+    glyf = fb.font['glyf']
+    metrics = {}
+    for name, advance in advances.items():
+        glyf[name].recalcBounds(glyf)
+        metrics[name] = (advance, getattr(glyf[name], 'xMin', 0))
+    fb.setupHorizontalMetrics(metrics)
+    fb.setupHorizontalHeader(ascent=800, descent=-200)
+    fb.setupNameTable({'familyName': 'VarTest', 'styleName': 'Regular'})
+    fb.setupOS2(sTypoAscender=800, usWinAscent=800, usWinDescent=200)
+    fb.setupPost()
+    fb.save(path)
+
+
+def main():
+    document = DesignSpaceDocument()
+
+    weight = AxisDescriptor()
+    weight.tag, weight.name = 'wght', 'Weight'
+    weight.minimum, weight.default, weight.maximum = 100, 100, 900
+    weight.map = [(100, 100), (400, 300), (900, 900)]
+    document.addAxis(weight)
+
+    width = AxisDescriptor()
+    width.tag, width.name = 'wdth', 'Width'
+    width.minimum, width.default, width.maximum = 75, 100, 125
+    document.addAxis(width)
+
+    with tempfile.TemporaryDirectory() as folder:
+        masters = [(80, 0, 100, 75), (240, 0, 900, 75), (80, 200, 100, 100), (240, 200, 900, 100)]
+        for stem, extra, wght, wdth in masters:
+            source = SourceDescriptor()
+            source.path = os.path.join(folder, 'master-%d-%d.ttf' % (wght, wdth))
+            source.location = {'Weight': wght, 'Width': wdth}
+            build_master(stem, extra, source.path)
+            document.addSource(source)
+
+        font, _, _ = varLib.build(document)
+        font.save('variable.ttf')
+
+    woff2.compress('variable.ttf', 'variable.woff2')
+    woff2.compress('variable.ttf', 'variable-hmtx.woff2', transform_tables={'glyf', 'loca', 'hmtx'})
+    woff2.compress('variable.ttf', 'variable-null.woff2', transform_tables=set())
+
+    for location in INSTANCES:
+        instance = instancer.instantiateVariableFont(TTFont('variable.ttf'), location)
+        instance.save('instance-wght%d-wdth%d.ttf' % (location['wght'], location['wdth']))
+
+
+if __name__ == '__main__':
+    main()
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+
+// font-variations.js uses the opentype global that index.html loads
+const require = createRequire(import.meta.url);
+globalThis.opentype = require('../lib/opentype.min.js');
+
+const { getVariationAxes, loadVariations, getFontInstance } = await import('../font-variations.js');
+
+// Reference instances made by the fontTools instancer (see fixtures/build-variable-font.py)
+const INSTANCES = [
+  { wght: 600, wdth: 90 },
+  { wght: 400, wdth: 80 },
+  { wght: 900, wdth: 75 }
+];
+
+async function readFont(name) {
+  const bytes = await readFile(new URL(`fixtures/${name}`, import.meta.url));
+  const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+  return { font: opentype.parse(buffer), buffer };
+}
+
+async function loadVariableFont() {
+  const { font, buffer } = await readFont('variable.ttf');
+  await loadVariations(font, buffer);
+  return font;
+}
+
+// Largest difference between the advances and outline coordinates of two glyphs
+function compareGlyphs(actual, expected) {
+  const actualCommands = actual.getPath(0, 0, 1000).commands;
+  const expectedCommands = expected.getPath(0, 0, 1000).commands;
+  assert.deepEqual(actualCommands.map(command => command.type), expectedCommands.map(command => command.type));
+
+  let difference = Math.abs(actual.advanceWidth - expected.advanceWidth);
+  actualCommands.forEach((command, i) => {
+    for (let key of ['x', 'y', 'x1', 'y1']) {
+      if (key in command) {
+        difference = Math.max(difference, Math.abs(command[key] - expectedCommands[i][key]));
+      }
+    }
+  });
+  return difference;
+}
+
+test('reads the axes of a variable font', async () => {
+  const font = await loadVariableFont();
+
+  assert.deepEqual(getVariationAxes(font), [
+    { tag: 'wght', name: 'Weight', min: 100, default: 100, max: 900 },
+    { tag: 'wdth', name: 'Width', min: 75, default: 100, max: 125 }
+  ]);
+});
+
+test('returns the font itself at the default axis values', async () => {
+  const font = await loadVariableFont();
+
+  assert.equal(getFontInstance(font, {}), font);
+  assert.equal(getFontInstance(font, { wght: 100, wdth: 100 }), font);
+});
+
+test('returns static fonts unchanged', async () => {
+  const { font, buffer } = await readFont('instance-wght600-wdth90.ttf');
+  await loadVariations(font, buffer);
+
+  assert.deepEqual(getVariationAxes(font), []);
+  assert.equal(getFontInstance(font, { wght: 900 }), font);
+});
+
+for (let location of INSTANCES) {
+  test(`applies the gvar deltas like the fontTools instancer at wght ${location.wght}, wdth ${location.wdth}`, async () => {
+    const font = await loadVariableFont();
+    const { font: reference } = await readFont(`instance-wght${location.wght}-wdth${location.wdth}.ttf`);
+    const instance = getFontInstance(font, location);
+
+    assert.notEqual(instance, font);
+    // Simple glyphs with interpolated off-curve points, a composite and an empty glyph
+    for (let char of ['A', '.', 'B', ' ']) {
+      const difference = compareGlyphs(instance.charToGlyph(char), reference.charToGlyph(char));
+      // The instancer rounds coordinates to whole units
+      assert.ok(difference <= 1, `${char} differs by ${difference} units`);
+    }
+  });
+}
+
+test('clamps axis values to the range of the axis', async () => {
+  const font = await loadVariableFont();
+  const { font: reference } = await readFont('instance-wght900-wdth75.ttf');
+  const instance = getFontInstance(font, { wght: 2000, wdth: 10 });
+
+  assert.ok(compareGlyphs(instance.charToGlyph('A'), reference.charToGlyph('A')) <= 1);
+});
+
+test('reuses the instance made for the same axis values', async () => {
+  const font = await loadVariableFont();
+
+  assert.equal(getFontInstance(font, { wght: 600, wdth: 90 }), getFontInstance(font, { wght: 600, wdth: 90 }));
+  assert.notEqual(getFontInstance(font, { wght: 600, wdth: 90 }), getFontInstance(font, { wght: 600 }));
+});
@@ -0,0 +1,17 @@
+/**
+ * Module loader hooks for the tests (see register.mjs)
+ */
+
+const ROOT = new URL('../../', import.meta.url).href;
+
+// Scripts of the Electron main process and build, the only CommonJS in the repo
+const COMMONJS_FILES = new Set(['main-electron.js', 'preload.js', 'forge.config.js']);
+
+export async function load(url, context, nextLoad) {
+  const path = url.startsWith(ROOT) ? url.slice(ROOT.length) : null;
+
+  if (path && path.endsWith('.js') && !COMMONJS_FILES.has(path) && !path.startsWith('node_modules/')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
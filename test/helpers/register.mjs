@@ -0,0 +1,9 @@
+/**
+ * Test setup (node --import): the renderer scripts are ES modules loaded by
+ * index.html, while package.json declares CommonJS for the Electron main
+ * process, so Node is told to load them as modules
+ */
+
+import { register } from 'node:module';
+
+register('./esm-hooks.mjs', import.meta.url);
@@ -0,0 +1,85 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { CommandHistory } from '../history.js';
+
+test('undoes and redoes recorded states in order', () => {
+  const history = new CommandHistory();
+  history.reset({ title: '' });
+
+  assert.equal(history.record('inTitle', { title: 'A' }), true);
+  assert.equal(history.record('inSpeed', { title: 'A', speed: 3 }), true);
+
+  assert.deepEqual(history.undo(), { title: 'A' });
+  assert.deepEqual(history.undo(), { title: '' });
+  assert.equal(history.undo(), null);
+  assert.deepEqual(history.redo(), { title: 'A' });
+  assert.deepEqual(history.redo(), { title: 'A', speed: 3 });
+  assert.equal(history.redo(), null);
+});
+
+test('ignores commands that change nothing', () => {
+  const history = new CommandHistory();
+  history.reset({ title: 'A' });
+
+  assert.equal(history.record('inTitle', { title: 'A' }), false);
+  assert.equal(history.canUndo(), false);
+});
+
+test('merges quick commands of the same kind into one step', () => {
+  mock.timers.enable({ apis: ['Date'] });
+  try {
+    const history = new CommandHistory({ mergeWindow: 1000 });
+    history.reset({ title: '' });
+
+    history.record('inTitle', { title: 'E' });
+    mock.timers.tick(200);
+    history.record('inTitle', { title: 'Ep' });
+    mock.timers.tick(200);
+    history.record('inTitle', { title: 'Epi' });
+    assert.deepEqual(history.undo(), { title: '' });
+
+    // A pause or another control starts a new step
+    history.redo();
+    mock.timers.tick(2000);
+    history.record('inTitle', { title: 'Epis' });
+    history.record('inSub', { title: 'Epis', sub: 'A' });
+    assert.deepEqual(history.undo(), { title: 'Epis' });
+    assert.deepEqual(history.undo(), { title: 'Epi' });
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test('a new command clears the redo steps', () => {
+  const history = new CommandHistory();
+  history.reset({ speed: 1 });
+  history.record('inSpeed', { speed: 2 });
+  history.undo();
+
+  history.record('inLoop', { speed: 1, loop: false });
+
+  assert.equal(history.canRedo(), false);
+  assert.deepEqual(history.undo(), { speed: 1 });
+});
+
+test('keeps at most limit undo steps', () => {
+  const history = new CommandHistory({ limit: 2 });
+  history.reset({ value: 0 });
+  for (let value = 1; value <= 4; value++) {
+    history.record(`command${value}`, { value });
+  }
+
+  assert.deepEqual(history.undo(), { value: 3 });
+  assert.deepEqual(history.undo(), { value: 2 });
+  assert.equal(history.undo(), null);
+});
+
+test('reset forgets the history', () => {
+  const history = new CommandHistory();
+  history.reset({ value: 0 });
+  history.record('a', { value: 1 });
+  history.reset({ value: 5 });
+
+  assert.equal(history.canUndo(), false);
+  assert.equal(history.canRedo(), false);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Hyphenator, getHyphenator } from '../hyphenator.js';
+
+const hyphenate = (language, word) => getHyphenator(language).hyphenate(word).join('-');
+
+test('hyphenates with the bundled patterns of each language', () => {
+  assert.equal(hyphenate('en', 'hyphenation'), 'hy-phen-ation');
+  assert.equal(hyphenate('en', 'rebellion'), 're-bel-lion');
+  assert.equal(hyphenate('de', 'Silbentrennung'), 'Sil-ben-tren-nung');
+  assert.equal(hyphenate('fr', 'république'), 'ré-pu-blique');
+  assert.equal(hyphenate('es', 'galáctico'), 'ga-lác-ti-co');
+});
+
+test('keeps punctuation on the outer fragments', () => {
+  assert.deepEqual(getHyphenator('en').hyphenate('“rebellion,”'), ['“re', 'bel', 'lion,”']);
+});
+
+test('leaves short, all-caps and non-alphabetic words whole', () => {
+  const hyphenator = getHyphenator('en');
+
+  assert.deepEqual(hyphenator.hyphenate('Jedi'), ['Jedi']);
+  assert.deepEqual(hyphenator.hyphenate('REBELLION'), ['REBELLION']);
+  assert.deepEqual(hyphenator.hyphenate('starfighter-class'), ['starfighter-class']);
+});
+
+test('shares one hyphenator per language and has none for unknown languages', () => {
+  assert.equal(getHyphenator('en'), getHyphenator('en'));
+  assert.equal(getHyphenator('xx'), null);
+});
+
+test('applies patterns within the leftmin and rightmin margins', () => {
+  const patterns = { leftmin: 3, rightmin: 3, patterns: { 3: 'a1b' } };
+  const hyphenator = new Hyphenator(patterns);
+
+  // "a1b" allows a break between every a and b; the first and last two fall inside the margins
+  assert.deepEqual(hyphenator.hyphenate('ababababab'), ['aba', 'ba', 'ba', 'bab']);
+});
+
+test('takes the breaks of exceptions over the patterns', () => {
+  const patterns = { leftmin: 1, rightmin: 1, patterns: { 3: 'a1b' }, exceptions: 'ta-ble-top' };
+  const hyphenator = new Hyphenator(patterns);
+
+  assert.deepEqual(hyphenator.hyphenate('tabletop'), ['ta', 'ble', 'top']);
+  assert.deepEqual(hyphenator.hyphenate('Tabletop'), ['Ta', 'ble', 'top']);
+});
+
+test('honours the minimum word length option', () => {
+  const patterns = { leftmin: 1, rightmin: 1, patterns: { 3: 'a1b' } };
+
+  assert.deepEqual(new Hyphenator(patterns).hyphenate('abab'), ['abab']);
+  assert.deepEqual(new Hyphenator(patterns, { minWordLength: 3 }).hyphenate('abab'), ['a', 'ba', 'b']);
+});
@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { KnuthPlassJustifier } from '../knuth-plass.js';
+
+const INFINITY = 10000;
+
+// Words of the given widths with 10-unit spaces that stretch by 10 and shrink by 5
+function paragraph(widths, { justifyLastLine = false } = {}) {
+  const items = [];
+  widths.forEach((width, i) => {
+    if (i > 0) {
+      items.push({ type: 'glue', width: 10, stretch: 10, shrink: 5 });
+    }
+    items.push({ type: 'box', width });
+  });
+
+  if (!justifyLastLine) {
+    items.push({ type: 'penalty', width: 0, penalty: INFINITY, flagged: false });
+    items.push({ type: 'glue', width: 0, stretch: 0, shrink: 0, fill: 1 });
+  }
+  items.push({ type: 'penalty', width: 0, penalty: -INFINITY, flagged: false });
+  return items;
+}
+
+// Box widths per line
+function getLines(justifier, items, breakpoints) {
+  let start = 0;
+  return breakpoints.map(end => {
+    const line = items.slice(start, end).filter(item => item.type === 'box').map(item => item.width);
+    start = justifier.findLineStart(items, end);
+    return line;
+  });
+}
+
+test('breaks a paragraph into lines that fit and ends at the last item', () => {
+  const justifier = new KnuthPlassJustifier();
+  const items = paragraph(new Array(12).fill(20));
+  const breakpoints = justifier.breakLines(items, [100]);
+
+  assert.deepEqual(getLines(justifier, items, breakpoints), [
+    [20, 20, 20, 20],
+    [20, 20, 20, 20],
+    [20, 20, 20, 20]
+  ]);
+  assert.equal(breakpoints[breakpoints.length - 1], items.length - 1);
+});
+
+test('chooses the breaks of the whole paragraph rather than filling each line', () => {
+  const justifier = new KnuthPlassJustifier();
+  // First fit sets "50 30 10" fully shrunk and then a loose "40 30"
+  const items = paragraph([50, 30, 10, 40, 30, 40]);
+  const breakpoints = justifier.breakLines(items, [100]);
+
+  assert.deepEqual(getLines(justifier, items, breakpoints), [[50, 30], [10, 40, 30], [40]]);
+});
+
+test('uses one line width per line and the last one for the rest', () => {
+  const justifier = new KnuthPlassJustifier();
+  const items = paragraph(new Array(6).fill(30));
+  const breakpoints = justifier.breakLines(items, [70, 130]);
+
+  assert.deepEqual(getLines(justifier, items, breakpoints), [[30, 30], [30, 30, 30], [30]]);
+});
+
+test('breaks at forced penalties inside the paragraph', () => {
+  const justifier = new KnuthPlassJustifier();
+  const items = paragraph([20, 20, 20, 20, 20, 20]);
+  items.splice(5, 0, { type: 'penalty', width: 0, penalty: -INFINITY, flagged: false });
+  const breakpoints = justifier.breakLines(items, [100]);
+
+  assert.equal(breakpoints[0], 5);
+  assert.deepEqual(getLines(justifier, items, breakpoints), [[20, 20, 20], [20, 20, 20]]);
+});
+
+test('only hyphenates when the paragraph cannot be set without it', () => {
+  const justifier = new KnuthPlassJustifier();
+  const hyphen = { type: 'penalty', width: 5, penalty: 50, flagged: true, value: '-', auto: true };
+
+  // "20 20 20 20 | 20 20 20 20" sets fine without the hyphen in the third word
+  const loose = paragraph(new Array(8).fill(20));
+  loose.splice(4, 1, { type: 'box', width: 10 }, hyphen, { type: 'box', width: 10 });
+  const looseBreaks = justifier.breakLines(loose, [100]);
+  assert.ok(looseBreaks.every(index => loose[index] !== hyphen));
+
+  // A 100-unit word after a 60-unit one leaves no other way to fill the first line
+  const tight = paragraph([60, 100]);
+  tight.splice(2, 1, { type: 'box', width: 25 }, hyphen, { type: 'box', width: 75 });
+  const tightBreaks = justifier.breakLines(tight, [100]);
+  assert.equal(tight[tightBreaks[0]], hyphen);
+});
+
+test('breaks at soft hyphens in the first pass, before pattern hyphens are tried', () => {
+  const justifier = new KnuthPlassJustifier();
+  // "40 30" alone needs twice its stretch, more than the first pass allows;
+  // "40 30 5-" fits exactly but its hyphen costs far more than a loose line
+  const setWith = (hyphen) => {
+    const items = paragraph([40, 30, 50]);
+    items.splice(4, 0, { type: 'box', width: 5 }, hyphen);
+    const breakpoints = justifier.breakLines(items, [100]);
+    return items[breakpoints[0]] === hyphen;
+  };
+
+  assert.equal(setWith({ type: 'penalty', width: 5, penalty: 999, flagged: true, value: '-' }), true);
+  assert.equal(setWith({ type: 'penalty', width: 5, penalty: 999, flagged: true, value: '-', auto: true }), false);
+});
+
+test('looseness sets the paragraph longer when that is feasible', () => {
+  const justifier = new KnuthPlassJustifier();
+  const items = paragraph(new Array(12).fill(20));
+
+  const longer = justifier.breakLines(items, [100], 1);
+  assert.equal(longer.length, 4);
+  assert.equal(justifier.actualLooseness, 1);
+
+  // Three full lines are already as short as it gets
+  const shorter = justifier.breakLines(items, [100], -1);
+  assert.equal(shorter.length, 3);
+  assert.equal(justifier.actualLooseness, 0);
+});
+
+test('still returns breaks when a word is wider than the line', () => {
+  const justifier = new KnuthPlassJustifier();
+  const items = paragraph([30, 150, 30]);
+  const breakpoints = justifier.breakLines(items, [100]);
+
+  assert.ok(breakpoints.length > 0);
+  assert.equal(breakpoints[breakpoints.length - 1], items.length - 1);
+
+  const sums = justifier.computeSums(items);
+  const lines = justifier.formatJustifiedLines(items, breakpoints, [100], sums);
+  assert.ok(lines.some(line => line.overfull));
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getLineBreakClass,
+  findBreakOpportunities,
+  isIdeographic,
+  getSpaceScale,
+  isNoBreakSpace
+} from '../line-break.js';
+
+// The text split at its break opportunities
+function split(text) {
+  const parts = [];
+  let start = 0;
+  for (let offset of findBreakOpportunities(text)) {
+    parts.push(text.slice(start, offset));
+    start = offset;
+  }
+  parts.push(text.slice(start));
+  return parts;
+}
+
+test('classifies characters', () => {
+  assert.equal(getLineBreakClass('a'), 'AL');
+  assert.equal(getLineBreakClass('ש'), 'HL');
+  assert.equal(getLineBreakClass('7'), 'NU');
+  assert.equal(getLineBreakClass(' '), 'SP');
+  assert.equal(getLineBreakClass('\u00A0'), 'GL');
+  assert.equal(getLineBreakClass('('), 'OP');
+  assert.equal(getLineBreakClass('»'), 'QU');
+  assert.equal(getLineBreakClass('$'), 'PR');
+  assert.equal(getLineBreakClass('\u0301'), 'CM');
+  assert.equal(getLineBreakClass('帝'), 'ID');
+  assert.equal(getLineBreakClass('ッ'), 'NS');
+});
+
+test('breaks after spaces but not before punctuation', () => {
+  assert.deepEqual(split('the DEATH STAR'), ['the ', 'DEATH ', 'STAR']);
+  assert.deepEqual(split('Mr. Skywalker, run!'), ['Mr. ', 'Skywalker, ', 'run!']);
+  assert.deepEqual(split('wait ... (really) ?'), ['wait ... ', '(really) ?']);
+});
+
+test('breaks after hyphens, slashes and around dashes', () => {
+  assert.deepEqual(split('X-wing'), ['X-', 'wing']);
+  assert.deepEqual(split('again/and'), ['again/', 'and']);
+  assert.deepEqual(split('rebel—imperial'), ['rebel', '—', 'imperial']);
+  assert.deepEqual(split('a — b'), ['a ', '— ', 'b']);
+});
+
+test('keeps numbers together with their prefixes and postfixes', () => {
+  assert.deepEqual(split('$1,000.50 and 95%'), ['$1,000.50 ', 'and ', '95%']);
+  assert.deepEqual(split('-12 or +3'), ['-12 ', 'or ', '+3']);
+});
+
+test('does not break at glue, word joiners or soft hyphens', () => {
+  assert.deepEqual(split('10\u00A0km away'), ['10\u00A0km ', 'away']);
+  assert.deepEqual(split('non\u2060stop'), ['non\u2060stop']);
+  assert.deepEqual(split('hyper\u00ADspace'), ['hyper\u00ADspace']);
+  assert.deepEqual(split('zero\u200Bwidth'), ['zero\u200B', 'width']);
+});
+
+test('keeps combining marks with their base character', () => {
+  assert.deepEqual(split('cafe\u0301 au'), ['cafe\u0301 ', 'au']);
+});
+
+test('breaks between ideographs except before small kana and closing punctuation', () => {
+  assert.deepEqual(split('银河帝国。'), ['银', '河', '帝', '国。']);
+  assert.deepEqual(split('ジェダイ'), ['ジェ', 'ダ', 'イ']);
+  assert.deepEqual(split('「帝国」'), ['「帝', '国」']);
+});
+
+test('reports offsets in UTF-16 code units', () => {
+  assert.deepEqual(findBreakOpportunities('😀😀'), [2]);
+  assert.deepEqual(findBreakOpportunities(''), []);
+});
+
+test('tells ideographs and spaces apart', () => {
+  assert.equal(isIdeographic('帝'), true);
+  assert.equal(isIdeographic('。'), true);
+  assert.equal(isIdeographic('a'), false);
+  assert.equal(isIdeographic(')'), false);
+
+  assert.equal(getSpaceScale(''), 0);
+  assert.equal(getSpaceScale(' '), 1);
+  assert.equal(getSpaceScale('\u2009'), 0.5);
+  assert.equal(getSpaceScale('\u202F'), 0.5);
+  assert.equal(isNoBreakSpace('\u00A0'), true);
+  assert.equal(isNoBreakSpace('\u202F'), true);
+  assert.equal(isNoBreakSpace(' '), false);
+});
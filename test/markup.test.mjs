@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseInlineMarkup, parseParagraph, applyBidiLevels } from '../markup.js';
+
+// Runs as "text:styles", e.g. "DEATH STAR:B" (Bold, Italic, Highlight, No-break)
+function describeRuns(runs) {
+  return runs.map(({ text, style }) => {
+    const flags = (style.bold ? 'B' : '') + (style.italic ? 'I' : '') + (style.highlight ? 'H' : '') + (style.noBreak ? 'N' : '');
+    return flags ? `${text}:${flags}` : text;
+  });
+}
+
+test('parses bold, italic, highlight and non-breaking spans', () => {
+  assert.deepEqual(describeRuns(parseInlineMarkup('the **DEATH STAR**, an *armored* ==space== {New Hope}')), [
+    'the ', 'DEATH STAR:B', ', an ', 'armored:I', ' ', 'space:H', ' ', 'New Hope:N'
+  ]);
+  assert.deepEqual(describeRuns(parseInlineMarkup('**bold *and italic***')), ['bold :B', 'and italic:BI']);
+});
+
+test('keeps markers without a closing partner and escaped characters as text', () => {
+  assert.deepEqual(describeRuns(parseInlineMarkup('2 * 3 = 6 {open')), ['2 * 3 = 6 {open']);
+  assert.deepEqual(describeRuns(parseInlineMarkup('\\*not italic\\* and \\\\')), ['*not italic* and \\']);
+});
+
+test('does not pair a marker with an escaped one', () => {
+  assert.deepEqual(describeRuns(parseInlineMarkup('2 * 3 and \\*not\\* italic')), ['2 * 3 and *not* italic']);
+  assert.deepEqual(describeRuns(parseInlineMarkup('{a \\} b')), ['{a } b']);
+});
+
+test('splits words at spaces and keeps the style changes inside a word', () => {
+  const words = parseParagraph('  the **DEATH STAR**,  an armored station ');
+
+  assert.deepEqual(words.map(word => word.text), ['the', 'DEATH', 'STAR,', 'an', 'armored', 'station']);
+  assert.deepEqual(words[2].segments.map(segment => [segment.text, segment.style.bold]), [['STAR', true], [',', false]]);
+  assert.deepEqual(words.map(word => word.space), [' ', ' ', ' ', ' ', ' ', '']);
+});
+
+test('holds words together at no-break spaces and inside non-breaking spans', () => {
+  const words = parseParagraph('Episode\u00A0IV, a {New Hope} rises');
+
+  assert.deepEqual(words.map(word => [word.text, word.space, word.noBreakAfter]), [
+    ['Episode', '\u00A0', true],
+    ['IV,', ' ', false],
+    ['a', ' ', false],
+    ['New', ' ', true],
+    ['Hope', ' ', false],
+    ['rises', '', false]
+  ]);
+});
+
+test('breaks without a space at hyphens, around dashes and between ideographs', () => {
+  assert.deepEqual(parseParagraph('rebel-imperial').map(word => [word.text, word.space]), [['rebel-', ''], ['imperial', '']]);
+  assert.deepEqual(parseParagraph('rebel—imperial').map(word => word.text), ['rebel', '—', 'imperial']);
+  assert.deepEqual(parseParagraph('银河帝国').map(word => word.text), ['银', '河', '帝', '国']);
+});
+
+test('does not break before closing punctuation after a space', () => {
+  const words = parseParagraph('Run !');
+
+  assert.deepEqual(words.map(word => [word.text, word.noBreakAfter]), [['Run', true], ['!', false]]);
+});
+
+test('splits segments at bidi level changes and records the level of each space', () => {
+  const words = applyBidiLevels(parseParagraph('Say שלום עולם now'), 0);
+
+  assert.deepEqual(words.map(word => word.segments.map(segment => [segment.text, segment.level])), [
+    [['Say', 0]],
+    [['שלום', 1]],
+    [['עולם', 1]],
+    [['now', 0]]
+  ]);
+  assert.deepEqual(words.map(word => word.spaceLevel), [0, 1, 0, 0]);
+});
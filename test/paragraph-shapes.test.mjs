@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getParagraphShape, getShapeLine, mirrorShape, dependsOnLineCount } from '../paragraph-shapes.js';
+
+const COLUMN = 1000;
+const FONT_SIZE = 100;
+
+const widths = shape => shape.map(line => Math.round(line.width));
+
+test('a rectangle is one full-width line', () => {
+  assert.deepEqual(getParagraphShape({ shape: 'rectangle' }, COLUMN, FONT_SIZE), [{ width: COLUMN, offset: 0 }]);
+  assert.deepEqual(getParagraphShape({}, COLUMN, FONT_SIZE), [{ width: COLUMN, offset: 0 }]);
+});
+
+test('indents the first line or the following lines by two ems', () => {
+  assert.deepEqual(getParagraphShape({ shape: 'indent' }, COLUMN, FONT_SIZE), [
+    { width: 800, offset: 200 },
+    { width: COLUMN, offset: 0 }
+  ]);
+  assert.deepEqual(getParagraphShape({ shape: 'hanging' }, COLUMN, FONT_SIZE), [
+    { width: COLUMN, offset: 0 },
+    { width: 800, offset: 200 }
+  ]);
+  // Never more than half the column
+  assert.equal(getParagraphShape({ shape: 'indent' }, 300, FONT_SIZE)[0].width, 150);
+});
+
+test('tapers a pyramid towards the last line of the paragraph', () => {
+  const shape = getParagraphShape({ shape: 'pyramid' }, COLUMN, FONT_SIZE, 9);
+
+  assert.deepEqual(widths(shape), [1000, 1000, 1000, 950, 830, 710, 590, 470, 350]);
+  for (let line of shape) {
+    assert.equal(Math.round(line.offset * 2 + line.width), COLUMN);
+  }
+  assert.deepEqual(widths(getParagraphShape({ shape: 'pyramid' }, COLUMN, FONT_SIZE, 2)), [470, 350]);
+  assert.equal(dependsOnLineCount({ shape: 'pyramid' }), true);
+  assert.equal(dependsOnLineCount({ shape: 'indent' }), false);
+});
+
+test('reads custom widths as clamped percentages of the column', () => {
+  const shape = getParagraphShape({ shape: 'custom', widths: '100, 80;5 abc 150' }, COLUMN, FONT_SIZE);
+
+  assert.deepEqual(shape, [
+    { width: 1000, offset: 0 },
+    { width: 800, offset: 100 },
+    { width: 100, offset: 450 },
+    { width: 1000, offset: 0 }
+  ]);
+  assert.deepEqual(getParagraphShape({ shape: 'custom', widths: '' }, COLUMN, FONT_SIZE), [{ width: COLUMN, offset: 0 }]);
+});
+
+test('repeats the last line of a shape', () => {
+  const shape = getParagraphShape({ shape: 'indent' }, COLUMN, FONT_SIZE);
+
+  assert.equal(getShapeLine(shape, 0), shape[0]);
+  assert.equal(getShapeLine(shape, 5), shape[1]);
+});
+
+test('mirrors indents to the right edge for right-to-left paragraphs', () => {
+  const shape = mirrorShape(getParagraphShape({ shape: 'indent' }, COLUMN, FONT_SIZE), COLUMN);
+
+  assert.deepEqual(shape, [
+    { width: 800, offset: 0 },
+    { width: COLUMN, offset: 0 }
+  ]);
+});
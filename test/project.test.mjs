@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PROJECT_FORMAT,
+  PROJECT_VERSION,
+  createDefaultProject,
+  serializeProject,
+  parseProject
+} from '../project.js';
+
+const projectFile = (data) => JSON.stringify({ format: PROJECT_FORMAT, version: PROJECT_VERSION, ...data });
+
+test('reads back a saved project', () => {
+  const project = createDefaultProject();
+  project.text.title = 'Episode IV';
+  project.visual.fonts = [{ name: 'Crawl.ttf', data: 'AAEAAA==' }];
+  project.layout.paragraphs = [null, { shape: 'pyramid' }];
+
+  const parsed = parseProject(serializeProject(project));
+
+  assert.equal(parsed.format, PROJECT_FORMAT);
+  assert.equal(parsed.version, PROJECT_VERSION);
+  assert.deepEqual(parsed.text, project.text);
+  assert.deepEqual(parsed.visual, project.visual);
+  assert.deepEqual(parsed.layout, project.layout);
+});
+
+test('fills in settings a file leaves out, including nested ones', () => {
+  const parsed = parseProject(projectFile({
+    text: { title: 'Episode V' },
+    visual: { bodyStyle: { color: '#ff0000' } }
+  }));
+  const defaults = createDefaultProject();
+
+  assert.deepEqual(parsed.text, { ...defaults.text, title: 'Episode V' });
+  assert.deepEqual(parsed.timing, defaults.timing);
+  assert.deepEqual(parsed.visual.bodyStyle, { ...defaults.visual.bodyStyle, color: '#ff0000' });
+  assert.deepEqual(parsed.visual.titleStyle, defaults.visual.titleStyle);
+});
+
+test('keeps the defaults for values of the wrong type', () => {
+  const parsed = parseProject(projectFile({
+    text: null,
+    visual: { fonts: null, fallbackFonts: { name: 'x' }, bodySize: '110', titleAxes: [] },
+    layout: { paragraphs: null, protrusion: 'yes' }
+  }));
+  const defaults = createDefaultProject();
+
+  assert.deepEqual(parsed.text, defaults.text);
+  assert.deepEqual(parsed.visual.fonts, []);
+  assert.deepEqual(parsed.visual.fallbackFonts, []);
+  assert.equal(parsed.visual.bodySize, 110);
+  assert.deepEqual(parsed.visual.titleAxes, {});
+  assert.deepEqual(parsed.layout.paragraphs, []);
+  assert.equal(parsed.layout.protrusion, false);
+});
+
+test('takes any value where the default is null', () => {
+  const parsed = parseProject(projectFile({ audio: { path: '/music/theme.mp3' } }));
+
+  assert.equal(parsed.audio.path, '/music/theme.mp3');
+});
+
+test('rejects files that are not crawl projects', () => {
+  assert.throws(() => parseProject('{'), /malformed JSON/);
+  assert.throws(() => parseProject('null'), /not a Crawl Studio project/);
+  assert.throws(() => parseProject(JSON.stringify({ format: 'other' })), /not a Crawl Studio project/);
+  assert.throws(
+    () => parseProject(JSON.stringify({ format: PROJECT_FORMAT, version: PROJECT_VERSION + 1 })),
+    /newer version/
+  );
+});
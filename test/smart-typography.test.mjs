@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applySmartTypography, getChangeSnippets } from '../smart-typography.js';
+
+const NBSP = '\u00A0';
+const NARROW_NBSP = '\u202F';
+
+const typeset = (text, language) => applySmartTypography(text, language).text;
+
+test('curls quotes and apostrophes and sets dashes and ellipses in English', () => {
+  assert.equal(
+    typeset(`He said, "It's the Jedis' ship -- from '77... 'Go,' she said."`, 'en'),
+    'He said, “It’s the Jedis’ ship — from ’77… ‘Go,’ she said.”'
+  );
+  assert.equal(typeset('The years 1977--1983 - and a---b', 'en'), 'The years 1977–1983 — and a—b');
+});
+
+test('uses the quotation marks and dash of each language', () => {
+  assert.equal(
+    typeset(`Er sagte: "Das geht's nicht" und 'so' weiter - ja.`, 'de'),
+    'Er sagte: „Das geht’s nicht“ und ‚so‘ weiter – ja.'
+  );
+  assert.equal(typeset(`Dijo "hola" y 'adiós'...`, 'es'), 'Dijo «hola» y “adiós”…');
+  assert.equal(typeset('"Hello"', 'xx'), '“Hello”');
+});
+
+test('puts narrow no-break spaces inside guillemets and before high punctuation in French', () => {
+  assert.equal(
+    typeset(`Il a dit : "Bonjour" et " Salut " ! L'Empire ; vraiment ?`, 'fr'),
+    `Il a dit${NARROW_NBSP}: «${NARROW_NBSP}Bonjour${NARROW_NBSP}» et «${NARROW_NBSP}Salut${NARROW_NBSP}»${NARROW_NBSP}! ` +
+      `L’Empire${NARROW_NBSP}; vraiment${NARROW_NBSP}?`
+  );
+});
+
+test('keeps initials and numbers with their units on one line', () => {
+  assert.equal(typeset('by J. R. R. Tolkien', 'en'), `by J.${NBSP}R.${NBSP}R.${NBSP}Tolkien`);
+  assert.equal(typeset('12 km away, 5 % more, 3 parsecs', 'en'), `12${NBSP}km away, 5${NBSP}% more, 3 parsecs`);
+});
+
+test('leaves single letters that are also words after a number', () => {
+  const text = 'Episode 4 A New Hope, 2 t-shirts, 1 h or 3 K-wings, 7 s';
+
+  assert.deepEqual(applySmartTypography(text, 'en'), { text, changes: [] });
+  assert.equal(typeset('5 kg and 20 ms', 'en'), `5${NBSP}kg and 20${NBSP}ms`);
+});
+
+test('leaves markup and escaped characters alone', () => {
+  assert.equal(typeset('"**bold**" and *"italic"*', 'en'), '“**bold**” and *“italic”*');
+  assert.equal(typeset('\\"as typed\\" \\-- here', 'en'), '\\"as typed\\" \\-- here');
+});
+
+test('does not keep quotes open across lines', () => {
+  assert.equal(typeset('"open\n"again"', 'en'), '“open\n“again”');
+});
+
+test('reports each change at its index in the original text', () => {
+  const text = 'He said "hi" -- ok';
+  const { changes } = applySmartTypography(text, 'en');
+
+  assert.deepEqual(changes, [
+    { index: 8, from: '"', to: '“' },
+    { index: 11, from: '"', to: '”' },
+    { index: 13, from: '--', to: '—' }
+  ]);
+  assert.deepEqual(getChangeSnippets(text, changes), [{ before: 'He said "hi" -- ok', after: 'He said “hi” — ok' }]);
+});
+
+test('returns the text unchanged when there is nothing to do', () => {
+  const text = 'A long time ago in a galaxy far, far away.';
+
+  assert.deepEqual(applySmartTypography(text, 'en'), { text, changes: [] });
+});
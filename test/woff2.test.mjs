@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { promisify } from 'node:util';
+import zlib from 'node:zlib';
+
+const require = createRequire(import.meta.url);
+globalThis.opentype = require('../lib/opentype.min.js');
+
+const { isWoff2, decodeWoff2 } = await import('../woff2.js');
+const { loadVariations, getFontInstance } = await import('../font-variations.js');
+
+const brotliDecompress = promisify(zlib.brotliDecompress);
+
+// Same as the font:decompress-brotli handler of the main process
+const decompress = (bytes, expectedLength) => brotliDecompress(bytes, { maxOutputLength: expectedLength });
+
+// The same font with the glyf/loca transform, also with the hmtx transform, and untransformed
+const WOFF2_FIXTURES = ['variable.woff2', 'variable-hmtx.woff2', 'variable-null.woff2'];
+
+async function readFixture(name) {
+  const bytes = await readFile(new URL(`fixtures/${name}`, import.meta.url));
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+}
+
+function assertSameGlyphs(actual, expected) {
+  assert.equal(actual.numGlyphs, expected.numGlyphs);
+  for (let i = 0; i < expected.numGlyphs; i++) {
+    const actualGlyph = actual.glyphs.get(i);
+    const expectedGlyph = expected.glyphs.get(i);
+    assert.equal(actualGlyph.name, expectedGlyph.name);
+    assert.equal(actualGlyph.advanceWidth, expectedGlyph.advanceWidth);
+    assert.equal(actualGlyph.leftSideBearing, expectedGlyph.leftSideBearing);
+    assert.deepEqual(actualGlyph.getPath(0, 0, 1000).commands, expectedGlyph.getPath(0, 0, 1000).commands);
+  }
+}
+
+test('recognizes WOFF2 files by their signature', async () => {
+  assert.equal(isWoff2(await readFixture('variable.woff2')), true);
+  assert.equal(isWoff2(await readFixture('variable.ttf')), false);
+  assert.equal(isWoff2(new ArrayBuffer(2)), false);
+});
+
+for (let name of WOFF2_FIXTURES) {
+  test(`decodes ${name} into the original glyphs and metrics`, async () => {
+    const expected = opentype.parse(await readFixture('variable.ttf'));
+    const decoded = opentype.parse(await decodeWoff2(await readFixture(name), decompress));
+
+    assertSameGlyphs(decoded, expected);
+    assert.equal(decoded.unitsPerEm, expected.unitsPerEm);
+    assert.equal(decoded.ascender, expected.ascender);
+    assert.equal(decoded.names.fontFamily.en, 'VarTest');
+  });
+}
+
+test('keeps the variation tables of a decoded font', async () => {
+  const original = await readFixture('variable.ttf');
+  const expected = opentype.parse(original);
+  await loadVariations(expected, original);
+
+  const sfnt = await decodeWoff2(await readFixture('variable.woff2'), decompress);
+  const decoded = opentype.parse(sfnt);
+  await loadVariations(decoded, sfnt);
+
+  const location = { wght: 600, wdth: 90 };
+  assertSameGlyphs(getFontInstance(decoded, location), getFontInstance(expected, location));
+});
+
+test('tells the decompressor the table data length the header declares', async () => {
+  const calls = [];
+  await decodeWoff2(await readFixture('variable.woff2'), async (bytes, expectedLength) => {
+    const data = await brotliDecompress(bytes);
+    calls.push({ expectedLength, length: data.length });
+    return data;
+  });
+
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].expectedLength, calls[0].length);
+});
+
+test('rejects files that are not WOFF2', async () => {
+  await assert.rejects(decodeWoff2(await readFixture('variable.ttf'), decompress), { message: 'Not a WOFF2 file' });
+});
+
+test('rejects font collections', async () => {
+  const header = new Uint8Array(48);
+  header.set([0x77, 0x4F, 0x46, 0x32]); // 'wOF2'
+  header.set([0x74, 0x74, 0x63, 0x66], 4); // 'ttcf'
+
+  await assert.rejects(decodeWoff2(header.buffer, decompress), { message: 'WOFF2 font collections are not supported' });
+});
+
+test('rejects table data shorter than the header declares', async () => {
+  const truncate = async (bytes, expectedLength) => (await decompress(bytes, expectedLength)).subarray(0, expectedLength - 1);
+
+  await assert.rejects(decodeWoff2(await readFixture('variable.woff2'), truncate), { message: 'Truncated WOFF2 table data' });
+});
@@ -1,21 +1,110 @@
 /**
  * Text Renderer with Knuth-Plass Justification
- * Uses opentype.js for precise font metrics
+ * Uses opentype.js for precise font metrics and draws glyphs from their outlines
  */
 
 import { KnuthPlassJustifier } from './knuth-plass.js';
+import { positionGlyphs } from './font-metrics.js';
+import { FontChain } from './font-chain.js';
+import { parseParagraph, splitWords, applyBidiLevels } from './markup.js';
+import { getParagraphShape, getShapeLine, mirrorShape, dependsOnLineCount } from './paragraph-shapes.js';
+import { parseProtrusionTable } from './protrusion.js';
+import { getSpaceScale } from './line-break.js';
+import { getParagraphLevel, reorderRuns, mirrorText } from './bidi.js';
+import { DEFAULT_TEXT_STYLE, getTextFill, applyTextShadow, clearTextShadow } from './text-style.js';
+
+// Horizontal shear of synthetic italics (about 11 degrees)
+const ITALIC_SKEW = 0.2;
+
+// Titles and subtitles: bold, without inline markup, lines spaced in ems
+const HEADING_STYLE = Object.freeze({ bold: true, italic: false, highlight: false, noBreak: false });
+const HEADING_LINE_HEIGHT = 1.15;
+
+// Line counts a line-count dependent paragraph shape is tried with
+const MAX_SHAPE_PASSES = 12;
+
+// Replay opentype.js path commands on a canvas context
+function traceGlyphPath(ctx, commands) {
+  for (let cmd of commands) {
+    if (cmd.type === 'M') {
+      ctx.moveTo(cmd.x, cmd.y);
+    } else if (cmd.type === 'L') {
+      ctx.lineTo(cmd.x, cmd.y);
+    } else if (cmd.type === 'C') {
+      ctx.bezierCurveTo(cmd.x1, cmd.y1, cmd.x2, cmd.y2, cmd.x, cmd.y);
+    } else if (cmd.type === 'Q') {
+      ctx.quadraticCurveTo(cmd.x1, cmd.y1, cmd.x, cmd.y);
+    } else if (cmd.type === 'Z') {
+      ctx.closePath();
+    }
+  }
+}
 
 export class TextRenderer {
   constructor(canvas, options = {}) {
     this.canvas = canvas;
     this.ctx = canvas.getContext('2d');
     this.canvasWidth = options.canvasWidth || 2048;
+    this.fallbackFont = options.fallbackFont || 'sans-serif';
+    this.highlightColor = '#ffffff';
+    // Paragraph direction: 'ltr', 'rtl' or 'auto' (from the first strong character)
+    this.direction = 'auto';
+    // Margin protrusion tables { left, right } (character -> fraction of width), null when off
+    this.protrusion = null;
     this.opentypeFont = null;
+    // Fonts tried in order for characters the crawl font lacks
+    this.fallbackFonts = [];
+    // Imported fonts of the crawl sections (null: the crawl font)
+    this.sectionFonts = { title: null, subtitle: null, body: null };
+    // Tracking, word spacing and case of the crawl sections (see renderCrawl)
+    this.sectionTypography = { title: {}, subtitle: {}, body: {} };
+    // Fill, outline and shadow of the crawl sections (see text-style.js)
+    this.sectionStyles = { title: {}, subtitle: {}, body: {} };
+    // Font chain, word spacing (a factor of the space width) and style of the section being laid out
+    this.fonts = this.createFontChain(null);
+    this.wordSpacing = 1;
+    this.textStyle = DEFAULT_TEXT_STYLE;
     this.justifier = null;
+    // Problems found while laying out the last crawl (overfull lines, ...)
+    this.layoutIssues = [];
   }
 
   setFont(opentypeFont) {
     this.opentypeFont = opentypeFont;
+    this.fonts = this.createFontChain(null);
+  }
+
+  setFallbackFonts(fonts) {
+    this.fallbackFonts = fonts;
+    this.fonts = this.createFontChain(null);
+  }
+
+  /**
+   * Fonts of the title, subtitle and body: { title, subtitle, body }, each an
+   * opentype.js font or null for the crawl font
+   */
+  setSectionFonts(fonts) {
+    this.sectionFonts = { ...this.sectionFonts, ...fonts };
+  }
+
+  /**
+   * Measure and draw with the font, typography and style of a crawl section from now on
+   */
+  useSection(section) {
+    const typography = this.sectionTypography[section];
+    this.fonts = this.createFontChain(this.sectionFonts[section], typography);
+    this.wordSpacing = typography.wordSpacing ?? 1;
+    this.textStyle = { ...DEFAULT_TEXT_STYLE, ...this.sectionStyles[section] };
+  }
+
+  createFontChain(sectionFont, typography = {}) {
+    const fonts = [sectionFont || this.opentypeFont, ...this.fallbackFonts];
+    const smallCaps = typography.textTransform === 'small-caps';
+
+    return new FontChain(fonts, (text, fontSize) => {
+      this.ctx.font = `${smallCaps ? 'small-caps ' : ''}${fontSize}px ${this.fallbackFont}`;
+      return this.ctx.measureText(text).width;
+    }, { letterSpacing: typography.letterSpacing, uppercase: typography.textTransform === 'uppercase', smallCaps });
   }
 
   initJustifier(options = {}) {
@@ -27,116 +116,326 @@ export class TextRenderer {
   }
 
   measureText(text, fontSize) {
-    if (!this.opentypeFont) {
-      this.ctx.font = `${fontSize}px ${this.fallbackFont}`;
-      return this.ctx.measureText(text).width;
+    // Same kerned metrics, font by font, as the Knuth-Plass item builder
+    return this.fonts.measureText(text, fontSize);
+  }
+
+  getSpaceWidth(fontSize) {
+    return this.measureText(' ', fontSize) * this.wordSpacing;
+  }
+
+  /**
+   * Width of a word from markup.js (segments are drawn one after another)
+   */
+  measureWord(word, fontSize) {
+    let width = 0;
+    for (let segment of word.segments) {
+      width += this.measureText(segment.text, fontSize);
     }
+    return width;
+  }
 
-    const scale = fontSize / this.opentypeFont.unitsPerEm;
+  measureWords(words, fontSize, spaceWidth) {
     let width = 0;
+    words.forEach((word, i) => {
+      width += this.measureWord(word, fontSize) + (i > 0 ? this.getGapWidth(words[i - 1], spaceWidth) : 0);
+    });
+    return width;
+  }
+
+  /**
+   * Width of the space after a word (none where the break needs no space)
+   */
+  getGapWidth(word, spaceWidth) {
+    return spaceWidth * getSpaceScale(word.space);
+  }
 
-    for (let char of text) {
-      const glyph = this.opentypeFont.charToGlyph(char);
-      if (glyph && glyph.advanceWidth) {
-        width += glyph.advanceWidth * scale;
+  /**
+   * Draw text with its top-left corner at (x, y) in the section's text style
+   * (the highlight colour with options.highlight). Each character is set in the first font of the chain that has it, from
+   * the opentype.js outlines at the exact kerned positions used by
+   * measureText; the canvas font only draws what no loaded font covers.
+   * options.scaleX widens or narrows the glyphs (font expansion) from x;
+   * options.rtl draws a right-to-left run (reversed, brackets mirrored).
+   */
+  drawText(text, x, y, fontSize, options = {}) {
+    const { scaleX = 1, rtl = false, highlight = false } = options;
+    const runs = this.fonts.splitRuns(text);
+    const widths = runs.map(run => this.fonts.measureRun(run, fontSize));
+    const totalWidth = widths.reduce((sum, width) => sum + width, 0);
+
+    // Fallback glyphs sit on the baseline of the first loaded font
+    const [mainFont] = this.fonts.fonts;
+    const baseline = mainFont ? y + mainFont.ascender * fontSize / mainFont.unitsPerEm : null;
+    const bottom = mainFont ? y + (mainFont.ascender - mainFont.descender) * fontSize / mainFont.unitsPerEm : y + fontSize;
+
+    this.ctx.save();
+    this.ctx.fillStyle = highlight ? this.highlightColor : getTextFill(this.ctx, this.textStyle, y, bottom);
+    this.ctx.strokeStyle = this.textStyle.outlineColor;
+
+    if (scaleX !== 1) {
+      this.ctx.transform(scaleX, 0, 0, 1, x * (1 - scaleX), 0);
+    }
+
+    let offset = 0;
+    runs.forEach((run, i) => {
+      // Right-to-left text starts at the right end
+      const runX = x + (rtl ? totalWidth - offset - widths[i] : offset);
+      if (run.font) {
+        this.drawGlyphRun(run.font, run.text, runX, baseline, fontSize, options);
+      } else {
+        this.drawSystemText(run.text, runX, y, baseline, fontSize, options);
       }
+      offset += widths[i];
+    });
+
+    this.ctx.restore();
+  }
+
+  /**
+   * Draw text from an opentype.js font's outlines, with synthetic bold and
+   * italic. The outline is stroked under the fill, so it only grows outwards.
+   */
+  drawGlyphRun(font, text, x, baseline, fontSize, options) {
+    const { glyphs } = positionGlyphs(font, options.rtl ? mirrorText(text) : text, fontSize, {
+      rtl: options.rtl,
+      ...this.fonts.getGlyphOptions(fontSize)
+    });
+
+    this.ctx.save();
+
+    // Synthetic italic: shear around the baseline so the pen position stays put
+    if (options.italic) {
+      this.ctx.transform(1, 0, -ITALIC_SKEW, 1, ITALIC_SKEW * baseline, 0);
     }
 
-    return width;
+    this.ctx.beginPath();
+    for (let { glyph, x: offset, fontSize: size } of glyphs) {
+      traceGlyphPath(this.ctx, glyph.getPath(x + offset, baseline, size).commands);
+    }
+
+    // Synthetic bold, like the browser's fake bold: thicken the outline
+    const boldWidth = options.bold ? fontSize / 32 : 0;
+    const { outlineWidth } = this.textStyle;
+    this.ctx.lineJoin = 'round';
+
+    // Only the bottom layer casts the shadow
+    applyTextShadow(this.ctx, this.textStyle);
+    if (outlineWidth > 0) {
+      this.ctx.lineWidth = outlineWidth * 2 + boldWidth;
+      this.ctx.stroke();
+      clearTextShadow(this.ctx);
+    }
+    this.ctx.fill();
+    clearTextShadow(this.ctx);
+
+    if (boldWidth > 0) {
+      this.ctx.strokeStyle = this.ctx.fillStyle;
+      this.ctx.lineWidth = boldWidth;
+      this.ctx.stroke();
+    }
+
+    this.ctx.restore();
   }
 
-  getSpaceWidth(fontSize) {
-    return this.measureText(' ', fontSize);
+  /**
+   * Draw text in the canvas font, on the given baseline when there is one
+   * (the browser does its own mirroring and joining here)
+   */
+  drawSystemText(text, x, y, baseline, fontSize, options) {
+    const fontStyle = (options.italic ? 'italic ' : '') + (this.fonts.smallCaps ? 'small-caps ' : '') +
+      (options.bold ? 'bold ' : '');
+
+    this.ctx.save();
+    this.ctx.font = `${fontStyle}${fontSize}px ${this.fallbackFont}`;
+    this.ctx.letterSpacing = `${this.fonts.letterSpacing * fontSize}px`;
+    this.ctx.direction = options.rtl ? 'rtl' : 'ltr';
+    this.ctx.textAlign = 'left';
+    this.ctx.lineJoin = 'round';
+    if (baseline !== null) {
+      this.ctx.textBaseline = 'alphabetic';
+    }
+
+    const textY = baseline === null ? y : baseline;
+    applyTextShadow(this.ctx, this.textStyle);
+    if (this.textStyle.outlineWidth > 0) {
+      this.ctx.lineWidth = this.textStyle.outlineWidth * 2;
+      this.ctx.strokeText(text, x, textY);
+      clearTextShadow(this.ctx);
+    }
+    this.ctx.fillText(text, x, textY);
+    this.ctx.restore();
+  }
+
+  /**
+   * A styled segment ready to be drawn by drawLine, scaled horizontally by scaleX
+   */
+  getSegmentPiece(segment, fontSize, scaleX = 1) {
+    return { ...segment, width: this.measureText(segment.text, fontSize) * scaleX, scaleX };
+  }
+
+  /**
+   * Pieces of a line of words at natural spacing
+   */
+  getLinePieces(words, fontSize, spaceWidth, level) {
+    const pieces = [];
+    words.forEach((word, i) => {
+      for (let segment of word.segments) {
+        pieces.push(this.getSegmentPiece(segment, fontSize));
+      }
+      if (i < words.length - 1) {
+        pieces.push({ level: word.spaceLevel ?? level, width: this.getGapWidth(word, spaceWidth) });
+      }
+    });
+    return pieces;
   }
 
+  /**
+   * Draw one line from its pieces in logical order: styled text
+   * (getSegmentPiece) and spaces ({ level, width }). They are reordered for
+   * display (see bidi.js) and set from the line's start edge: its left end in
+   * a left-to-right paragraph (level 0), its right end in a right-to-left one.
+   */
+  drawLine(pieces, start, y, fontSize, level = 0) {
+    const width = pieces.reduce((sum, piece) => sum + piece.width, 0);
+    let currentX = level % 2 ? start - width : start;
+
+    for (let piece of reorderRuns(pieces)) {
+      if (piece.text) {
+        const { bold, italic, highlight } = piece.style;
+        this.drawText(piece.text, currentX, y, fontSize, {
+          bold, italic, highlight, scaleX: piece.scaleX, rtl: piece.level % 2 === 1
+        });
+      }
+      currentX += piece.width;
+    }
+  }
+
+  /**
+   * Start edge of a paragraph line: shift moves it towards the end of the
+   * line (negative shifts hang into the margin)
+   */
+  getLineStart(x, shapeLine, shift, level) {
+    return level % 2 ? x + shapeLine.offset + shapeLine.width - shift : x + shapeLine.offset + shift;
+  }
+
+  /**
+   * Base level of a paragraph: 1 for right-to-left, 0 for left-to-right
+   * (the direction setting, or the first strong character with 'auto')
+   */
+  getBaseLevel(text) {
+    if (this.direction === 'auto') {
+      return getParagraphLevel(text);
+    }
+    return this.direction === 'rtl' ? 1 : 0;
+  }
+
+
+  /**
+   * How the last line of a paragraph is set: 'left' (flush with the start of
+   * the line, the right edge in right-to-left text), 'center' or 'justify'.
+   * 'within' justifies it only when it falls short of the line width by at
+   * most lastLineWithin percent.
+   */
+  getLastLineAlignment(settings, naturalWidth, targetWidth) {
+    const { lastLine = 'left', lastLineWithin = 10 } = settings;
+
+    if (lastLine === 'within') {
+      return targetWidth - naturalWidth <= targetWidth * lastLineWithin / 100 ? 'justify' : 'left';
+    }
+    return lastLine;
+  }
+
+  /**
+   * How far the first and last character of a justified line hang into the
+   * margins (left and right mean the start and end of the line)
+   */
+  getLineProtrusion(words, fontSize) {
+    if (!this.protrusion || words.length === 0) {
+      return { left: 0, right: 0 };
+    }
+
+    const first = [...words[0].text][0];
+    const last = [...words[words.length - 1].text].pop();
+    return {
+      left: (this.protrusion.left.get(first) || 0) * this.measureText(first, fontSize),
+      right: (this.protrusion.right.get(last) || 0) * this.measureText(last, fontSize)
+    };
+  }
 
   // Method 1: renderSimpleJustified
-  renderSimpleJustified(text, x, y, columnWidth, fontSize, lineHeight) {
-    const words = text.trim().split(/\s+/);
+  renderSimpleJustified(words, x, y, shape, fontSize, lineHeight, settings = {}, level = 0) {
     const spaceWidth = this.getSpaceWidth(fontSize);
     
-    // Use 'PathwayGothic' (matching the FontFace name)
-    const fontName = this.opentypeFont ? 'PathwayGothic' : this.fallbackFont;
-    
-    this.ctx.font = `${fontSize}px ${fontName}`;
-    this.ctx.fillStyle = '#ffe81f';
     this.ctx.textBaseline = 'top';
     
-    let currentLine = [];
-    let currentWidth = 0;
+    const lines = this.wrapText(words, shape, fontSize);
     let currentY = y;
     
-    for (let i = 0; i < words.length; i++) {
-      const word = words[i];
-      const wordWidth = this.measureText(word, fontSize);
-      const testWidth = currentWidth + (currentLine.length > 0 ? spaceWidth : 0) + wordWidth;
-      
-      if (testWidth > columnWidth && currentLine.length > 0) {
-        // Render current line with justification
-        this.renderJustifiedLine(currentLine, x, currentY, columnWidth, fontSize, spaceWidth);
-        currentY += lineHeight;
-        currentLine = [word];
-        currentWidth = wordWidth;
+    lines.forEach((line, index) => {
+      const shapeLine = getShapeLine(shape, index);
+      const naturalWidth = this.measureWords(line, fontSize, spaceWidth);
+      const alignment = index < lines.length - 1 ? 'justify' :
+        this.getLastLineAlignment(settings, naturalWidth, shapeLine.width);
+
+      if (alignment === 'justify') {
+        // Render line with justification, punctuation hanging into the margins
+        const { left, right } = this.getLineProtrusion(line, fontSize);
+        const start = this.getLineStart(x, shapeLine, -left, level);
+        this.renderJustifiedLine(line, start, currentY, shapeLine.width + left + right, fontSize, spaceWidth, level);
       } else {
-        currentLine.push(word);
-        currentWidth = testWidth;
-      }
-    }
-    
-    // Render last line (left-aligned, not justified)
-    if (currentLine.length > 0) {
-      let currentX = x;
-      for (let i = 0; i < currentLine.length; i++) {
-        this.ctx.fillText(currentLine[i], currentX, currentY);
-        currentX += this.measureText(currentLine[i], fontSize);
-        if (i < currentLine.length - 1) {
-          currentX += spaceWidth;
-        }
+        // Last line at natural spacing, flush with the start of the line or centered
+        const shift = alignment === 'center' ? (shapeLine.width - naturalWidth) / 2 : 0;
+        const pieces = this.getLinePieces(line, fontSize, spaceWidth, level);
+        this.drawLine(pieces, this.getLineStart(x, shapeLine, shift, level), currentY, fontSize, level);
       }
       currentY += lineHeight;
-    }
+    });
     
     return currentY;
   }
 
-  renderJustifiedLine(words, x, y, columnWidth, fontSize, normalSpaceWidth) {
+  renderJustifiedLine(words, start, y, columnWidth, fontSize, normalSpaceWidth, level = 0) {
     if (words.length <= 1) {
       // Single word - just render it
-      this.ctx.fillText(words[0], x, y);
+      this.drawLine(this.getLinePieces(words, fontSize, normalSpaceWidth, level), start, y, fontSize, level);
       return;
     }
     
     // Calculate total word width
     let totalWordWidth = 0;
     for (let word of words) {
-      totalWordWidth += this.measureText(word, fontSize);
+      totalWordWidth += this.measureWord(word, fontSize);
     }
     
-    // Calculate justified space width
+    // Spread the free space over the spaces; lines without any (ideographs)
+    // spread it evenly between the words
+    const gaps = words.slice(0, -1).map(word => getSpaceScale(word.space));
+    const totalGaps = gaps.reduce((sum, gap) => sum + gap, 0);
     const totalSpaceNeeded = columnWidth - totalWordWidth;
-    const numSpaces = words.length - 1;
-    const spaceWidth = totalSpaceNeeded / numSpaces;
+    const spaceWidth = totalSpaceNeeded / (totalGaps || gaps.length);
     
     // Render words with calculated spacing
-    let currentX = x;
+    const pieces = [];
     for (let i = 0; i < words.length; i++) {
-      this.ctx.fillText(words[i], currentX, y);
-      currentX += this.measureText(words[i], fontSize);
+      for (let segment of words[i].segments) {
+        pieces.push(this.getSegmentPiece(segment, fontSize));
+      }
       if (i < words.length - 1) {
-        currentX += spaceWidth;
+        pieces.push({ level: words[i].spaceLevel ?? level, width: spaceWidth * (totalGaps ? gaps[i] : 1) });
       }
     }
+    this.drawLine(pieces, start, y, fontSize, level);
   }
 
   /**
    * Render text with Knuth-Plass justification
    */
-  renderKnuthPlassJustified(text, x, y, columnWidth, fontSize, lineHeight) {
+  renderKnuthPlassJustified(words, x, y, shape, fontSize, lineHeight, settings = {}, level = 0) {
     if (!this.justifier) {
       this.initJustifier();
     }
 
-    const words = text.trim().split(/\s+/);
     const spaceWidth = this.getSpaceWidth(fontSize);
     
     try {
@@ -144,154 +443,466 @@ export class TextRenderer {
       const items = this.justifier.createItemsFromText(
         words,
         fontSize,
-        this.opentypeFont,
-        spaceWidth
+        this.fonts,
+        spaceWidth,
+        { justifyLastLine: settings.lastLine === 'justify' }
       );
 
-      // Create line widths array
-      const lineWidths = new Array(words.length).fill(columnWidth);
+      // Line widths of the paragraph shape (the last one repeats)
+      const lineWidths = shape.map(line => line.width);
 
       // Compute sums for adjustment calculations
       const sumWidth = this.justifier.computeSums(items);
 
       // Break into lines
-      const breakpoints = this.justifier.breakLines(items, lineWidths);
+      const looseness = settings.looseness || 0;
+      const breakpoints = this.justifier.breakLines(items, lineWidths, looseness);
+      if (breakpoints.length === 0) {
+        throw new Error('No feasible line breaks for paragraph');
+      }
+
+      if (this.justifier.actualLooseness !== looseness) {
+        this.layoutIssues.push({
+          type: 'looseness',
+          requested: looseness,
+          actual: this.justifier.actualLooseness
+        });
+      }
 
       // Format and render lines
       const lines = this.justifier.formatJustifiedLines(items, breakpoints, lineWidths, sumWidth);
+      const lastLine = lines[lines.length - 1];
+      let lastLineShift = 0;
+
+      // The finishing glue leaves the last line at natural spacing; center or justify it on request
+      switch (this.getLastLineAlignment(settings, lastLine.naturalWidth, lastLine.targetWidth)) {
+        case 'center':
+          lastLineShift = Math.max(0, lastLine.targetWidth - lastLine.naturalWidth) / 2;
+          break;
+        case 'justify':
+          if (lastLine.ratio === 0 && lastLine.stretch > 0 && lastLine.naturalWidth < lastLine.targetWidth) {
+            lastLine.ratio = (lastLine.targetWidth - lastLine.naturalWidth) / lastLine.stretch;
+          }
+          break;
+      }
 
-      const fontName = this.opentypeFont ? 'Pathway Gothic One' : this.fallbackFont;
-      this.ctx.font = `${fontSize}px ${fontName}`;
-      this.ctx.fillStyle = '#ffe81f';
       this.ctx.textBaseline = 'top';
 
       let currentY = y;
 
-      for (let line of lines) {
-        this.renderKnuthPlassLine(line, x, currentY);
+      lines.forEach((line, index) => {
+        if (line.overfull) {
+          this.layoutIssues.push({
+            type: 'overfull',
+            line: index + 1,
+            amount: line.overflow,
+            text: this.describeLine(line)
+          });
+        }
+
+        const shift = index === lines.length - 1 ? lastLineShift : 0;
+        const start = this.getLineStart(x, getShapeLine(shape, index), shift - line.protrudeLeft, level);
+        this.renderKnuthPlassLine(line, start, currentY, fontSize, level);
         currentY += lineHeight;
-      }
+      });
 
       return currentY;
     } catch (error) {
       console.warn('Knuth-Plass failed, falling back to simple justification:', error);
-      return this.renderSimpleJustified(text, x, y, columnWidth, fontSize, lineHeight);
+      return this.renderSimpleJustified(words, x, y, shape, fontSize, lineHeight, settings, level);
     }
   }
 
-  renderKnuthPlassLine(line, x, y) {
+  /**
+   * Draw a formatted line from its start edge (see drawLine)
+   */
+  renderKnuthPlassLine(line, start, y, fontSize, level = 0) {
     const { items, ratio } = line;
-    
-    let currentX = x;
+
+    // Glyphs are expanded at most to their limit (ratio 1); the glue takes up
+    // whatever space is left, so emergency lines still fill their width
+    const boxRatio = Math.max(-1, Math.min(ratio, 1));
+    let glueRatio = Math.max(ratio, -1);
+
+    if (ratio > 0 && ratio < this.justifier.infinity) {
+      let boxStretch = 0;
+      let glueStretch = 0;
+      for (let item of items) {
+        if (item.type === 'box') boxStretch += item.stretch || 0;
+        else glueStretch += item.stretch;
+      }
+
+      const slack = line.targetWidth - line.naturalWidth - boxStretch * boxRatio;
+      glueRatio = glueStretch > 0 ? slack / glueStretch : 0;
+    }
+
+    const pieces = [];
+    let lastSegment = null;
+    let lastScale = 1;
 
     for (let item of items) {
       if (item.type === 'box') {
-        this.ctx.fillText(item.value, currentX, y);
-        currentX += item.width;
+        // Font expansion: the box's stretch/shrink is its width times the expansion limit
+        const adjust = boxRatio > 0 ? (item.stretch || 0) * boxRatio : (item.shrink || 0) * boxRatio;
+        const scaleX = item.width > 0 ? (item.width + adjust) / item.width : 1;
+
+        for (let segment of item.segments) {
+          pieces.push(this.getSegmentPiece(segment, fontSize, scaleX));
+        }
+        lastSegment = item.segments[item.segments.length - 1];
+        lastScale = scaleX;
       } else if (item.type === 'glue') {
         // Adjust space width based on ratio
         let adjustedWidth = item.width;
         
-        if (ratio > 0 && ratio < 10) {
-          // Stretch
-          adjustedWidth += item.stretch * ratio;
-        } else if (ratio < 0 && ratio > -1) {
-          // Shrink
-          adjustedWidth += item.shrink * ratio;
+        if (ratio > 0 && ratio < this.justifier.infinity) {
+          // Stretch (emergency lines may go beyond the tolerance)
+          adjustedWidth += item.stretch * glueRatio;
+        } else if (ratio < 0) {
+          // Shrink, never past the glue's minimum width
+          adjustedWidth += item.shrink * glueRatio;
         }
         
-        currentX += adjustedWidth;
+        pieces.push({ level: item.level ?? level, width: adjustedWidth });
       }
     }
+
+    // Line broken at a discretionary hyphen, styled like the word it splits
+    if (line.hyphen && lastSegment) {
+      pieces.push(this.getSegmentPiece({ ...lastSegment, text: line.hyphen }, fontSize, lastScale));
+    }
+
+    this.drawLine(pieces, start, y, fontSize, level);
   }
 
   /**
-   * Render centered text (for titles)
+   * Plain text of a formatted line, for layout warnings
    */
-  renderCenteredText(text, y, fontSize) {
-    const fontName = this.opentypeFont ? 'Pathway Gothic One' : this.fallbackFont;
-    this.ctx.font = `bold ${fontSize}px PathwayGothic, sans-serif`;
-    this.ctx.fillStyle = '#ffe81f';
-    this.ctx.textAlign = 'center';
+  describeLine(line) {
+    let text = '';
+    for (let item of line.items) {
+      text += item.type === 'box' ? item.value : (item.width > 0 ? ' ' : '');
+    }
+    return text.trim() + line.hyphen;
+  }
+
+  /**
+   * Render ragged text: greedy line filling, each line aligned 'right' or 'center'
+   */
+  renderAlignedText(words, x, y, shape, fontSize, lineHeight, align, level = 0) {
+    const spaceWidth = this.getSpaceWidth(fontSize);
+    const lines = this.wrapText(words, shape, fontSize);
+
     this.ctx.textBaseline = 'top';
-    
-    this.ctx.fillText(text, this.canvasWidth / 2, y);
-    
-    this.ctx.textAlign = 'left';
+
+    let currentY = y;
+
+    lines.forEach((line, index) => {
+      const shapeLine = getShapeLine(shape, index);
+      const slack = shapeLine.width - this.measureWords(line, fontSize, spaceWidth);
+      // Lines start at the right edge of right-to-left paragraphs already
+      const flushRight = level % 2 ? 0 : slack;
+      const shift = align === 'right' ? flushRight : slack / 2;
+
+      const pieces = this.getLinePieces(line, fontSize, spaceWidth, level);
+      this.drawLine(pieces, this.getLineStart(x, shapeLine, shift, level), currentY, fontSize, level);
+      currentY += lineHeight;
+    });
+
+    return currentY;
   }
 
   /**
-   * Simple word wrapping without justification
+   * Render one body paragraph using the selected justification mode:
+   * - greedy: first-fit line filling, every line but the last justified
+   * - optimal: Knuth-Plass paragraph-wide optimal breaking
+   * - ragged-left: lines set flush right
+   * - centered: lines centered in the column
+   * settings holds the paragraph's own layout options (see paragraph-shapes.js).
+   * Right-to-left paragraphs mirror their shape and start lines at the right.
    */
-  wrapText(text, maxWidth, fontSize) {
-    const fontName = this.opentypeFont ? 'Pathway Gothic One' : this.fallbackFont;
-    this.ctx.font = `${fontSize}px ${fontName}`;
-    
-    const words = text.split(' ');
+  renderParagraph(text, x, y, columnWidth, fontSize, lineHeight, mode, settings = {}) {
+    const level = this.getBaseLevel(text);
+    const words = applyBidiLevels(parseParagraph(text), level);
+    const getShape = (lineCount) => {
+      const shape = getParagraphShape(settings, columnWidth, fontSize, lineCount);
+      return level % 2 ? mirrorShape(shape, columnWidth) : shape;
+    };
+    const shape = dependsOnLineCount(settings)
+      ? this.fitShape(getShape, this.getLineCounter(words, fontSize, mode, settings), columnWidth)
+      : getShape();
+
+    switch (mode) {
+      case 'optimal':
+        return this.renderKnuthPlassJustified(words, x, y, shape, fontSize, lineHeight, settings, level);
+      case 'ragged-left':
+        return this.renderAlignedText(words, x, y, shape, fontSize, lineHeight, 'right', level);
+      case 'centered':
+        return this.renderAlignedText(words, x, y, shape, fontSize, lineHeight, 'center', level);
+      default:
+        return this.renderSimpleJustified(words, x, y, shape, fontSize, lineHeight, settings, level);
+    }
+  }
+
+  /**
+   * Lay out a shape that depends on the line count (the pyramid) for the
+   * number of lines the paragraph takes in it. A narrower shape only adds
+   * lines, so counts are tried upwards from that of a plain column. Lines past
+   * the end of a shape repeat its last line: when a count is skipped, the
+   * shape one line short is the closer fit.
+   */
+  fitShape(getShape, countLines, columnWidth) {
+    let lineCount = countLines([{ width: columnWidth, offset: 0 }]);
+    let previous = null;
+
+    for (let pass = 0; pass < MAX_SHAPE_PASSES; pass++) {
+      const shape = getShape(lineCount);
+      const actual = countLines(shape);
+      if (actual === lineCount || (actual < lineCount && !previous)) {
+        return shape;
+      }
+      if (actual < lineCount) {
+        return previous;
+      }
+      previous = shape;
+      lineCount++;
+    }
+
+    return previous;
+  }
+
+  /**
+   * Function giving the number of lines a paragraph's words take in a shape,
+   * broken the way the justification mode will break them
+   */
+  getLineCounter(words, fontSize, mode, settings) {
+    if (mode !== 'optimal') {
+      return shape => this.wrapText(words, shape, fontSize).length;
+    }
+
+    if (!this.justifier) {
+      this.initJustifier();
+    }
+    const items = this.justifier.createItemsFromText(
+      words,
+      fontSize,
+      this.fonts,
+      this.getSpaceWidth(fontSize),
+      { justifyLastLine: settings.lastLine === 'justify' }
+    );
+    return shape => this.justifier.breakLines(items, shape.map(line => line.width), settings.looseness || 0).length;
+  }
+
+  /**
+   * Render the title or subtitle centered on the canvas, one block per line
+   * typed by hand. fit 'wrap' breaks each into balanced lines no wider than
+   * maxWidth; 'shrink' keeps it on one line. The size shrinks when a line
+   * (or, when wrapping, a single word) is still wider than maxWidth.
+   * Returns the height added by the lines after the first.
+   */
+  renderHeading(text, y, fontSize, maxWidth, fit) {
+    this.ctx.textBaseline = 'top';
+
+    const blocks = text.split(/\r?\n/).map(line => {
+      const level = this.getBaseLevel(line);
+      return { level, words: applyBidiLevels(splitWords([{ text: line.trim(), style: HEADING_STYLE }]), level) };
+    });
+
+    // Measured widths scale with the size, so one ratio fits the widest
+    let widest = 0;
+    for (let { words } of blocks) {
+      if (fit === 'shrink') {
+        widest = Math.max(widest, this.measureWords(words, fontSize, this.getSpaceWidth(fontSize)));
+      } else {
+        for (let word of words) widest = Math.max(widest, this.measureWord(word, fontSize));
+      }
+    }
+    const size = widest > maxWidth ? fontSize * maxWidth / widest : fontSize;
+    const spaceWidth = this.getSpaceWidth(size);
+
+    let currentY = y;
+    for (let { level, words } of blocks) {
+      // An empty line typed by hand still takes up its line
+      const lines = fit === 'shrink' || words.length === 0 ? [words] : this.balanceLines(words, maxWidth, size);
+      for (let line of lines) {
+        const pieces = this.getLinePieces(line, size, spaceWidth, level);
+        const width = pieces.reduce((sum, piece) => sum + piece.width, 0);
+        // Center the ink: the letter spacing after the last character is blank
+        const trailing = this.fonts.letterSpacing * size;
+        const left = (this.canvasWidth - width + (level % 2 ? -trailing : trailing)) / 2;
+        this.drawLine(pieces, level % 2 ? left + width : left, currentY, size, level);
+        currentY += size * HEADING_LINE_HEIGHT;
+      }
+    }
+
+    return currentY - y - size * HEADING_LINE_HEIGHT;
+  }
+
+  /**
+   * Wrap words into as few lines as fit maxWidth, then make those lines as
+   * even as possible: the narrowest width that needs no extra line
+   */
+  balanceLines(words, maxWidth, fontSize) {
+    let best = this.wrapText(words, [{ width: maxWidth, offset: 0 }], fontSize);
+    if (best.length < 2) return best;
+
+    const lineCount = best.length;
+    let low = 0;
+    let high = maxWidth;
+    while (high - low > 1) {
+      const width = (low + high) / 2;
+      const lines = this.wrapText(words, [{ width, offset: 0 }], fontSize);
+      if (lines.length > lineCount) {
+        low = width;
+      } else {
+        high = width;
+        best = lines;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Simple word wrapping without justification: lines of words filling the
+   * widths of a paragraph shape, never breaking inside a {non-breaking span}
+   */
+  wrapText(words, shape, fontSize) {
+    const spaceWidth = this.getSpaceWidth(fontSize);
     const lines = [];
-    let currentLine = '';
+    let currentLine = [];
+    let currentWidth = 0;
+
+    const gapBefore = () => currentLine.length > 0 ? this.getGapWidth(currentLine[currentLine.length - 1], spaceWidth) : 0;
 
     for (let word of words) {
-      const testLine = currentLine + (currentLine ? ' ' : '') + word;
-      const width = this.measureText(testLine, fontSize);
+      const wordWidth = this.measureWord(word, fontSize);
+      const testWidth = currentWidth + gapBefore() + wordWidth;
 
-      if (width > maxWidth && currentLine) {
-        lines.push(currentLine);
-        currentLine = word;
-      } else {
-        currentLine = testLine;
+      const maxWidth = getShapeLine(shape, lines.length).width;
+
+      if (testWidth > maxWidth && currentLine.length > 0) {
+        // Back up to the last break opportunity we are allowed to use
+        let breakAt = currentLine.length;
+        while (breakAt > 0 && currentLine[breakAt - 1].noBreakAfter) {
+          breakAt--;
+        }
+
+        if (breakAt > 0) {
+          lines.push(currentLine.slice(0, breakAt));
+          currentLine = currentLine.slice(breakAt);
+          currentWidth = this.measureWords(currentLine, fontSize, spaceWidth);
+        }
       }
+
+      currentWidth += gapBefore() + wordWidth;
+      currentLine.push(word);
     }
 
-    if (currentLine) lines.push(currentLine);
+    if (currentLine.length > 0) lines.push(currentLine);
     return lines;
   }
 
   // Method 2: renderCrawl
   renderCrawl(title, subtitle, body, config) {
     this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-    this.ctx.fillStyle = 'white';
+    this.layoutIssues = [];
 
-    this.ctx.font = `${config.bodySize}px PathwayGothic`;
+    // Fallback canvas text (no font loaded) uses the same pair kerning as its measurement
+    this.ctx.fontKerning = 'normal';
 
     const {
       titleSize,
       subSize,
       bodySize,
       columnWidth,
-      useJustification
+      justification = 'optimal',
+      language = 'en',
+      highlightColor = '#ffffff',
+      widowWords = 2,
+      runtWidth = 15,
+      paragraphs: paragraphSettings = [],
+      protrusion = null,
+      expansion = 0,
+      direction = 'auto',
+      systemFont = this.fallbackFont,
+      headingWidth = this.canvasWidth,
+      headingFit = 'wrap',
+      typography = {},
+      styles = {}
     } = config;
 
+    this.highlightColor = highlightColor;
+    this.fallbackFont = systemFont;
+    this.direction = direction;
+    // Per section: letterSpacing (ems), wordSpacing (factor of the space) and textTransform
+    this.sectionTypography = { title: {}, subtitle: {}, body: {}, ...typography };
+    // Per section: fill, outline and shadow (see text-style.js)
+    this.sectionStyles = { title: {}, subtitle: {}, body: {}, ...styles };
+
+    if (!this.justifier) {
+      this.initJustifier();
+    }
+    this.justifier.setLanguage(language);
+    this.justifier.setWidowControl(widowWords, runtWidth / 100);
+
+    // Optical margin alignment: config.protrusion holds the "char:percent" lists
+    this.protrusion = protrusion ? {
+      left: parseProtrusionTable(protrusion.left),
+      right: parseProtrusionTable(protrusion.right)
+    } : null;
+    const { left = null, right = null } = this.protrusion || {};
+    this.justifier.setProtrusion(left, right);
+    this.justifier.setExpansion(expansion / 100);
+
     let y = 200;
     const startX = (this.canvasWidth - columnWidth) / 2;
     const lineHeight = bodySize * 1.4;
 
+    // Characters drawn with the canvas font because no loaded font has them
+    const missing = new Set();
+
     // --- RENDER TITLE ---
     if (title) {
-      this.ctx.font = `${titleSize}px PathwayGothic`;
-      this.renderCenteredText(title, y, titleSize);
+      this.useSection('title');
+      this.fonts.findMissingChars(title).forEach(char => missing.add(char));
+      y += this.renderHeading(title, y, titleSize, headingWidth, headingFit);
       y += titleSize * 2; 
     }
 
     // --- RENDER SUBTITLE ---
     if (subtitle) {
-      this.ctx.font = `${subSize}px PathwayGothic`;
-      this.renderCenteredText(subtitle, y, subSize);
+      this.useSection('subtitle');
+      this.fonts.findMissingChars(subtitle).forEach(char => missing.add(char));
+      y += this.renderHeading(subtitle, y, subSize, headingWidth, headingFit);
       y += subSize * 2.5; 
     }
 
     // --- RENDER BODY ---
+    this.useSection('body');
+    this.fonts.findMissingChars(body).forEach(char => missing.add(char));
     const paragraphs = body.split('\n\n');
+    let paragraphNumber = 0;
     for (let para of paragraphs) {
       const trimmedPara = para.trim();
       if (!trimmedPara) continue;
+      paragraphNumber++;
 
-      this.ctx.font = `${bodySize}px PathwayGothic`;
+      const issueCount = this.layoutIssues.length;
+      y = this.renderParagraph(trimmedPara, startX, y, columnWidth, bodySize, lineHeight, justification,
+        paragraphSettings[paragraphNumber - 1] || {});
 
-      y = this.renderSimpleJustified(trimmedPara, startX, y, columnWidth, bodySize, lineHeight);
+      // Tag new issues with the paragraph they belong to
+      for (let i = issueCount; i < this.layoutIssues.length; i++) {
+        this.layoutIssues[i].paragraph = paragraphNumber;
+      }
 
       y += lineHeight * 0.8;
     }
+
+    if (missing.size > 0) {
+      this.layoutIssues.push({ type: 'missing-glyphs', chars: [...missing] });
+    }
+
      return y;
   }
 }
@@ -0,0 +1,56 @@
+/**
+ * Crawl Text Styles
+ * How the glyphs of a crawl section are painted: a solid colour or a
+ * vertical gradient, an optional outline and a soft drop shadow or glow
+ */
+
+export const DEFAULT_TEXT_STYLE = Object.freeze({
+  fill: 'solid', // 'solid' | 'gradient'
+  color: '#ffe81f',
+  gradientTop: '#fff8c0',
+  gradientBottom: '#d9a400',
+  outlineWidth: 0,
+  outlineColor: '#000000',
+  shadow: 'none', // 'none' | 'drop' | 'glow'
+  shadowColor: '#000000',
+  shadowBlur: 12,
+  shadowOffset: 6
+});
+
+/**
+ * Fill of text whose em box runs from top to bottom (the gradient follows each line)
+ */
+export function getTextFill(ctx, style, top, bottom) {
+  if (style.fill !== 'gradient') {
+    return style.color;
+  }
+
+  const gradient = ctx.createLinearGradient(0, top, 0, bottom);
+  gradient.addColorStop(0, style.gradientTop);
+  gradient.addColorStop(1, style.gradientBottom);
+  return gradient;
+}
+
+/**
+ * Set the shadow of the style on the context: a drop shadow falls down and
+ * to the right, a glow spreads evenly around the glyphs
+ */
+export function applyTextShadow(ctx, style) {
+  if (style.shadow === 'none') {
+    clearTextShadow(ctx);
+    return;
+  }
+
+  const offset = style.shadow === 'drop' ? style.shadowOffset : 0;
+  ctx.shadowColor = style.shadowColor;
+  ctx.shadowBlur = style.shadowBlur;
+  ctx.shadowOffsetX = offset;
+  ctx.shadowOffsetY = offset;
+}
+
+export function clearTextShadow(ctx) {
+  ctx.shadowColor = 'transparent';
+  ctx.shadowBlur = 0;
+  ctx.shadowOffsetX = 0;
+  ctx.shadowOffsetY = 0;
+}
@@ -0,0 +1,492 @@
+/**
+ * WOFF2 Decoder
+ * Turns a WOFF2 file back into the plain TrueType/CFF font opentype.js can
+ * parse: the table data is one Brotli stream, and glyf/loca (and possibly
+ * hmtx) are stored in the transformed forms of the WOFF2 specification,
+ * which are rebuilt here. Font collections are not supported.
+ */
+
+const WOFF2_SIGNATURE = 0x774F4632; // 'wOF2'
+
+// Table tags by their index in the table directory flags (63 = tag follows)
+const KNOWN_TAGS = [
+  'cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'OS/2', 'post', 'cvt ', 'fpgm', 'glyf', 'loca', 'prep',
+  'CFF ', 'VORG', 'EBDT', 'EBLC', 'gasp', 'hdmx', 'kern', 'LTSH', 'PCLT', 'VDMX', 'vhea', 'vmtx', 'BASE',
+  'GDEF', 'GPOS', 'GSUB', 'EBSC', 'JSTF', 'MATH', 'CBDT', 'CBLC', 'COLR', 'CPAL', 'SVG ', 'sbix', 'acnt',
+  'avar', 'bdat', 'bloc', 'bsln', 'cvar', 'fdsc', 'feat', 'fmtx', 'fvar', 'gvar', 'hsty', 'just', 'lcar',
+  'mort', 'morx', 'opbd', 'prop', 'trak', 'Zapf', 'Silf', 'Glat', 'Gloc', 'Feat', 'Sill'
+];
+
+// Composite glyph flags
+const ARG_1_AND_2_ARE_WORDS = 0x0001;
+const WE_HAVE_A_SCALE = 0x0008;
+const MORE_COMPONENTS = 0x0020;
+const WE_HAVE_AN_X_AND_Y_SCALE = 0x0040;
+const WE_HAVE_A_TWO_BY_TWO = 0x0080;
+const WE_HAVE_INSTRUCTIONS = 0x0100;
+
+// Simple glyph flags
+const ON_CURVE_POINT = 0x01;
+const X_SHORT_VECTOR = 0x02;
+const Y_SHORT_VECTOR = 0x04;
+const X_IS_SAME_OR_POSITIVE = 0x10;
+const Y_IS_SAME_OR_POSITIVE = 0x20;
+const OVERLAP_SIMPLE = 0x40;
+
+/**
+ * Whether the bytes are a WOFF2 file
+ */
+export function isWoff2(buffer) {
+  return buffer.byteLength >= 4 && new DataView(buffer).getUint32(0) === WOFF2_SIGNATURE;
+}
+
+/**
+ * Decode a WOFF2 file (ArrayBuffer) into an sfnt ArrayBuffer.
+ * decompressBrotli(Uint8Array, expectedLength) resolves to the decompressed
+ * bytes; expectedLength is the size of the table data the header declares.
+ */
+export async function decodeWoff2(buffer, decompressBrotli) {
+  const header = new Reader(buffer);
+  if (header.uint32() !== WOFF2_SIGNATURE) {
+    throw new Error('Not a WOFF2 file');
+  }
+
+  const flavor = header.uint32();
+  if (flavor === 0x74746366) { // 'ttcf'
+    throw new Error('WOFF2 font collections are not supported');
+  }
+  header.skip(4); // length
+  const numTables = header.uint16();
+  header.skip(2 + 4); // reserved, totalSfntSize
+  const compressedSize = header.uint32();
+  header.skip(2 + 2 + 4 * 5); // version, metadata and private blocks
+
+  const tables = [];
+  let offset = 0;
+  for (let i = 0; i < numTables; i++) {
+    const flags = header.uint8();
+    const tag = (flags & 0x3F) === 63 ? header.tag() : KNOWN_TAGS[flags & 0x3F];
+    const version = flags >> 6;
+    const origLength = header.uintBase128();
+
+    // glyf and loca are transformed unless version 3; other tables only with a non-zero version
+    const transformed = tag === 'glyf' || tag === 'loca' ? version !== 3 : version !== 0;
+    const length = transformed ? header.uintBase128() : origLength;
+
+    tables.push({ tag, version, transformed, origLength, offset, length });
+    offset += length;
+  }
+
+  const compressed = new Uint8Array(buffer, header.offset, compressedSize);
+  const data = toArrayBuffer(await decompressBrotli(compressed, offset));
+  if (data.byteLength < offset) {
+    throw new Error('Truncated WOFF2 table data');
+  }
+
+  const tableData = new Map();
+  for (let table of tables) {
+    tableData.set(table.tag, new Uint8Array(data, table.offset, table.length));
+  }
+
+  const glyf = tables.find(table => table.tag === 'glyf');
+  let glyphBoxes = null;
+  if (glyf && glyf.transformed) {
+    const rebuilt = reconstructGlyf(tableData.get('glyf'));
+    tableData.set('glyf', rebuilt.glyf);
+    tableData.set('loca', rebuilt.loca);
+    glyphBoxes = rebuilt.xMins;
+  }
+
+  const hmtx = tables.find(table => table.tag === 'hmtx');
+  if (hmtx && hmtx.transformed) {
+    tableData.set('hmtx', reconstructHmtx(tableData.get('hmtx'), tableData, glyphBoxes));
+  }
+
+  return buildSfnt(flavor, tableData);
+}
+
+/**
+ * Rebuild glyf and loca from the transformed glyf table (WOFF2 section 5.1)
+ */
+function reconstructGlyf(bytes) {
+  const header = new Reader(bytes.buffer, bytes.byteOffset);
+  header.skip(2); // version
+  const optionFlags = header.uint16();
+  const numGlyphs = header.uint16();
+  const indexFormat = header.uint16();
+
+  const streamSizes = [];
+  for (let i = 0; i < 7; i++) streamSizes.push(header.uint32());
+
+  let position = header.offset;
+  const [nContours, nPoints, flags, glyphs, composites, boxes, instructions] = streamSizes.map(size => {
+    const stream = new Reader(bytes.buffer, position, size);
+    position += size;
+    return stream;
+  });
+
+  const overlapBitmap = optionFlags & 1 ? new Uint8Array(bytes.buffer, position, (numGlyphs + 7) >> 3) : null;
+
+  // Explicit bounding boxes are flagged in a bitmap padded to 4 bytes
+  const boxBitmapSize = ((numGlyphs + 31) >> 5) << 2;
+  const boxBitmap = new Uint8Array(bytes.buffer, boxes.offset, boxBitmapSize);
+  boxes.skip(boxBitmapSize);
+  const hasBit = (bitmap, i) => (bitmap[i >> 3] & (0x80 >> (i & 7))) !== 0;
+
+  const output = new Writer();
+  const offsets = [];
+  const xMins = new Int16Array(numGlyphs);
+
+  for (let i = 0; i < numGlyphs; i++) {
+    offsets.push(output.length);
+    const contourCount = nContours.int16();
+
+    if (contourCount === 0) {
+      continue;
+    }
+
+    if (contourCount < 0) {
+      // Composite: the components are stored as they are, the box is always explicit
+      const start = composites.offset;
+      let componentFlags;
+      let hasInstructions = false;
+      do {
+        componentFlags = composites.uint16();
+        composites.skip(2 + (componentFlags & ARG_1_AND_2_ARE_WORDS ? 4 : 2));
+        if (componentFlags & WE_HAVE_A_SCALE) composites.skip(2);
+        else if (componentFlags & WE_HAVE_AN_X_AND_Y_SCALE) composites.skip(4);
+        else if (componentFlags & WE_HAVE_A_TWO_BY_TWO) composites.skip(8);
+        hasInstructions = hasInstructions || (componentFlags & WE_HAVE_INSTRUCTIONS) !== 0;
+      } while (componentFlags & MORE_COMPONENTS);
+
+      const box = [boxes.int16(), boxes.int16(), boxes.int16(), boxes.int16()];
+      xMins[i] = box[0];
+
+      output.int16(-1);
+      box.forEach(value => output.int16(value));
+      output.bytes(new Uint8Array(bytes.buffer, start, composites.offset - start));
+
+      if (hasInstructions) {
+        const instructionLength = glyphs.uint255();
+        output.uint16(instructionLength);
+        output.bytes(instructions.bytes(instructionLength));
+      }
+    } else {
+      const endPoints = [];
+      let pointCount = 0;
+      for (let c = 0; c < contourCount; c++) {
+        pointCount += nPoints.uint255();
+        endPoints.push(pointCount - 1);
+      }
+
+      const points = decodeTriplets(flags.bytes(pointCount), glyphs);
+      const instructionLength = glyphs.uint255();
+      const instructionBytes = instructions.bytes(instructionLength);
+
+      let box;
+      if (hasBit(boxBitmap, i)) {
+        box = [boxes.int16(), boxes.int16(), boxes.int16(), boxes.int16()];
+      } else {
+        box = [Infinity, Infinity, -Infinity, -Infinity];
+        for (let { x, y } of points) {
+          box = [Math.min(box[0], x), Math.min(box[1], y), Math.max(box[2], x), Math.max(box[3], y)];
+        }
+        if (points.length === 0) box = [0, 0, 0, 0];
+      }
+      xMins[i] = box[0];
+
+      output.int16(contourCount);
+      box.forEach(value => output.int16(value));
+      endPoints.forEach(value => output.uint16(value));
+      output.uint16(instructionLength);
+      output.bytes(instructionBytes);
+      writeSimpleGlyphPoints(output, points, overlapBitmap && hasBit(overlapBitmap, i));
+    }
+
+    output.pad(4);
+  }
+  offsets.push(output.length);
+
+  const loca = new Writer();
+  for (let value of offsets) {
+    if (indexFormat) loca.uint32(value);
+    else loca.uint16(value / 2);
+  }
+
+  return { glyf: output.toUint8Array(), loca: loca.toUint8Array(), xMins };
+}
+
+/**
+ * Absolute points of a simple glyph from its flag bytes and the triplet
+ * encoded coordinates in the glyph stream
+ */
+function decodeTriplets(flagBytes, stream) {
+  const points = [];
+  let x = 0;
+  let y = 0;
+  const withSign = (flag, value) => (flag & 1 ? value : -value);
+
+  for (let flag of flagBytes) {
+    const onCurve = (flag >> 7) === 0;
+    flag &= 0x7F;
+
+    let dx;
+    let dy;
+    if (flag < 10) {
+      dx = 0;
+      dy = withSign(flag, ((flag & 14) << 7) + stream.uint8());
+    } else if (flag < 20) {
+      dx = withSign(flag, (((flag - 10) & 14) << 7) + stream.uint8());
+      dy = 0;
+    } else if (flag < 84) {
+      const b0 = flag - 20;
+      const b1 = stream.uint8();
+      dx = withSign(flag, 1 + (b0 & 0x30) + (b1 >> 4));
+      dy = withSign(flag >> 1, 1 + ((b0 & 0x0C) << 2) + (b1 & 0x0F));
+    } else if (flag < 120) {
+      const b0 = flag - 84;
+      dx = withSign(flag, 1 + (Math.floor(b0 / 12) << 8) + stream.uint8());
+      dy = withSign(flag >> 1, 1 + (((b0 % 12) >> 2) << 8) + stream.uint8());
+    } else if (flag < 124) {
+      const b1 = stream.uint8();
+      const b2 = stream.uint8();
+      const b3 = stream.uint8();
+      dx = withSign(flag, (b1 << 4) + (b2 >> 4));
+      dy = withSign(flag >> 1, ((b2 & 0x0F) << 8) + b3);
+    } else {
+      const b1 = stream.uint8();
+      const b2 = stream.uint8();
+      const b3 = stream.uint8();
+      const b4 = stream.uint8();
+      dx = withSign(flag, (b1 << 8) + b2);
+      dy = withSign(flag >> 1, (b3 << 8) + b4);
+    }
+
+    x += dx;
+    y += dy;
+    points.push({ x, y, dx, dy, onCurve });
+  }
+
+  return points;
+}
+
+/**
+ * Flags and coordinate deltas of a simple glyph in the plain glyf encoding
+ */
+function writeSimpleGlyphPoints(output, points, overlap) {
+  const flags = [];
+  for (let i = 0; i < points.length; i++) {
+    const { dx, dy, onCurve } = points[i];
+    let flag = onCurve ? ON_CURVE_POINT : 0;
+    if (i === 0 && overlap) flag |= OVERLAP_SIMPLE;
+
+    if (dx === 0) flag |= X_IS_SAME_OR_POSITIVE;
+    else if (Math.abs(dx) < 256) flag |= X_SHORT_VECTOR | (dx > 0 ? X_IS_SAME_OR_POSITIVE : 0);
+
+    if (dy === 0) flag |= Y_IS_SAME_OR_POSITIVE;
+    else if (Math.abs(dy) < 256) flag |= Y_SHORT_VECTOR | (dy > 0 ? Y_IS_SAME_OR_POSITIVE : 0);
+
+    flags.push(flag);
+  }
+
+  flags.forEach(flag => output.uint8(flag));
+  points.forEach(({ dx }, i) => writeCoordinate(output, dx, flags[i] & X_SHORT_VECTOR));
+  points.forEach(({ dy }, i) => writeCoordinate(output, dy, flags[i] & Y_SHORT_VECTOR));
+}
+
+function writeCoordinate(output, delta, short) {
+  if (short) output.uint8(Math.abs(delta));
+  else if (delta !== 0) output.int16(delta);
+}
+
+/**
+ * Rebuild hmtx from its transformed form (WOFF2 section 5.4): left side
+ * bearings that equal the glyph's xMin were left out
+ */
+function reconstructHmtx(bytes, tableData, xMins) {
+  const numHMetrics = new DataView(tableData.get('hhea').buffer, tableData.get('hhea').byteOffset).getUint16(34);
+  const numGlyphs = new DataView(tableData.get('maxp').buffer, tableData.get('maxp').byteOffset).getUint16(4);
+
+  const input = new Reader(bytes.buffer, bytes.byteOffset, bytes.length);
+  const flags = input.uint8();
+
+  const advances = [];
+  for (let i = 0; i < numHMetrics; i++) advances.push(input.uint16());
+
+  const bearings = [];
+  for (let i = 0; i < numGlyphs; i++) {
+    const explicit = i < numHMetrics ? !(flags & 1) : !(flags & 2);
+    bearings.push(explicit ? input.int16() : (xMins ? xMins[i] : 0));
+  }
+
+  const output = new Writer();
+  for (let i = 0; i < numGlyphs; i++) {
+    if (i < numHMetrics) output.uint16(advances[i]);
+    output.int16(bearings[i]);
+  }
+  return output.toUint8Array();
+}
+
+/**
+ * Assemble an sfnt file from its tables (Map of tag -> Uint8Array)
+ */
+function buildSfnt(flavor, tableData) {
+  const tags = [...tableData.keys()].sort();
+  const numTables = tags.length;
+  const entrySelector = Math.floor(Math.log2(numTables));
+  const searchRange = (2 ** entrySelector) * 16;
+
+  const output = new Writer();
+  output.uint32(flavor);
+  output.uint16(numTables);
+  output.uint16(searchRange);
+  output.uint16(entrySelector);
+  output.uint16(numTables * 16 - searchRange);
+
+  let offset = 12 + numTables * 16;
+  for (let tag of tags) {
+    const data = tableData.get(tag);
+    for (let i = 0; i < 4; i++) output.uint8(tag.charCodeAt(i));
+    output.uint32(checksum(data));
+    output.uint32(offset);
+    output.uint32(data.length);
+    offset += (data.length + 3) & ~3;
+  }
+
+  for (let tag of tags) {
+    output.bytes(tableData.get(tag));
+    output.pad(4);
+  }
+
+  return output.toUint8Array().buffer;
+}
+
+function checksum(data) {
+  let sum = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    const word = (data[i] << 24) | ((data[i + 1] || 0) << 16) | ((data[i + 2] || 0) << 8) | (data[i + 3] || 0);
+    sum = (sum + (word >>> 0)) >>> 0;
+  }
+  return sum;
+}
+
+function toArrayBuffer(bytes) {
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+}
+
+// Big-endian reader over part of an ArrayBuffer
+class Reader {
+  constructor(buffer, offset = 0, length = buffer.byteLength - offset) {
+    this.view = new DataView(buffer, 0, offset + length);
+    this.offset = offset;
+  }
+
+  skip(count) {
+    this.offset += count;
+  }
+
+  uint8() {
+    return this.view.getUint8(this.offset++);
+  }
+
+  uint16() {
+    const value = this.view.getUint16(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  int16() {
+    const value = this.view.getInt16(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  uint32() {
+    const value = this.view.getUint32(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  tag() {
+    let tag = '';
+    for (let i = 0; i < 4; i++) tag += String.fromCharCode(this.uint8());
+    return tag;
+  }
+
+  bytes(count) {
+    const bytes = new Uint8Array(this.view.buffer, this.offset, count);
+    this.offset += count;
+    return bytes;
+  }
+
+  // Variable-length integer of the table directory, 7 bits per byte
+  uintBase128() {
+    let value = 0;
+    for (let i = 0; i < 5; i++) {
+      const byte = this.uint8();
+      if (i === 0 && byte === 0x80) throw new Error('Invalid WOFF2 integer');
+      value = value * 128 + (byte & 0x7F);
+      if ((byte & 0x80) === 0) return value;
+    }
+    throw new Error('Invalid WOFF2 integer');
+  }
+
+  // 255UInt16: one byte, or a code byte followed by one or two more
+  uint255() {
+    const code = this.uint8();
+    if (code === 253) return this.uint16();
+    if (code === 255) return this.uint8() + 253;
+    if (code === 254) return this.uint8() + 253 * 2;
+    return code;
+  }
+}
+
+// Growable big-endian byte buffer
+class Writer {
+  constructor() {
+    this.buffer = new Uint8Array(1024);
+    this.length = 0;
+  }
+
+  reserve(count) {
+    if (this.length + count <= this.buffer.length) return;
+    let size = this.buffer.length * 2;
+    while (size < this.length + count) size *= 2;
+    const grown = new Uint8Array(size);
+    grown.set(this.buffer.subarray(0, this.length));
+    this.buffer = grown;
+  }
+
+  uint8(value) {
+    this.reserve(1);
+    this.buffer[this.length++] = value & 0xFF;
+  }
+
+  uint16(value) {
+    this.uint8(value >> 8);
+    this.uint8(value);
+  }
+
+  int16(value) {
+    this.uint16(value & 0xFFFF);
+  }
+
+  uint32(value) {
+    this.uint16((value >>> 16) & 0xFFFF);
+    this.uint16(value & 0xFFFF);
+  }
+
+  bytes(bytes) {
+    this.reserve(bytes.length);
+    this.buffer.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  pad(alignment) {
+    while (this.length % alignment) this.uint8(0);
+  }
+
+  toUint8Array() {
+    return this.buffer.slice(0, this.length);
+  }
+}